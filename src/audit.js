@@ -0,0 +1,182 @@
+import fs from "node:fs/promises";
+import nodePath from "node:path";
+import { randomUUID } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const SECRET_KEY_PATTERN = /password|passwd|token|secret/i;
+const MAX_ARG_STRING_LENGTH = 2000;
+const MAX_QUERY_LIMIT = 500;
+
+// 参数里可能有密码或大段 base64，审计只需要能看懂“做了什么”
+function sanitizeArgs(value, depth = 0) {
+  if (typeof value === "string") {
+    return value.length > MAX_ARG_STRING_LENGTH
+      ? `${value.slice(0, MAX_ARG_STRING_LENGTH)}...(${value.length} chars)`
+      : value;
+  }
+  if (!value || typeof value !== "object") return value;
+  if (depth >= 6) return "[nested]";
+  if (Array.isArray(value)) return value.map((item) => sanitizeArgs(item, depth + 1));
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) ? "***" : sanitizeArgs(item, depth + 1);
+  }
+  return result;
+}
+
+// 受影响的 bug：路径里的 /bugs/{id} 或 bugID=，以及新建 bug 时响应里的 id
+function extractBugIds(path, method, data) {
+  const ids = new Set();
+  const [pathname, search = ""] = String(path).split("?");
+  for (const match of pathname.matchAll(/\/bugs\/(\d+)/g)) ids.add(Number(match[1]));
+  for (const match of search.matchAll(/(?:^|&)bugID=(\d+)/gi)) ids.add(Number(match[1]));
+  if (method === "POST" && /\/bugs\/?$/.test(pathname)) {
+    const createdId = Number(data?.id ?? data?.bug?.id ?? data?.data?.id);
+    if (Number.isInteger(createdId) && createdId > 0) ids.add(createdId);
+  }
+  return [...ids];
+}
+
+function parseTime(value, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const time = Date.parse(String(value));
+  if (!Number.isFinite(time)) throw new Error(`get_audit_log.${label} must be an ISO date/time`);
+  return time;
+}
+
+/**
+ * 写操作审计日志：追加写入 JSONL，超过 maxBytes 时轮转为 <file>.1 … <file>.<maxFiles>。
+ * 工具名与参数通过 runWithContext 绑定到当前工具调用，禅道客户端每发出一个非 GET 请求调用一次 record。
+ * 写日志失败只输出到 stderr，不影响工具调用本身。
+ */
+export function createAuditLog({ enabled = false, logFile = "", maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+  const active = Boolean(enabled && logFile);
+  const contextStorage = new AsyncLocalStorage();
+  // 同一进程内串行写入，保证轮转与追加不交错
+  let writeChain = Promise.resolve();
+
+  function runWithContext(context, task) {
+    return contextStorage.run(context, task);
+  }
+
+  async function rotateIfNeeded(incomingBytes) {
+    let size = 0;
+    try {
+      size = (await fs.stat(logFile)).size;
+    } catch {
+      return;
+    }
+    if (size === 0 || size + incomingBytes <= maxBytes) return;
+    await fs.rm(`${logFile}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      await fs.rename(`${logFile}.${index}`, `${logFile}.${index + 1}`).catch(() => {});
+    }
+    await fs.rename(logFile, `${logFile}.1`);
+  }
+
+  async function append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    await fs.mkdir(nodePath.dirname(logFile), { recursive: true, mode: 0o700 });
+    await rotateIfNeeded(Buffer.byteLength(line));
+    await fs.appendFile(logFile, line, { mode: 0o600 });
+  }
+
+  /**
+   * 记录一次已发出的写请求（成功或失败）。request：{ instance, account, method, path, status, ok, error, attempts, data, durationMs }
+   */
+  async function record({ instance, account, method, path, status, ok, error, attempts, data, durationMs }) {
+    if (!active) return null;
+    const context = contextStorage.getStore() || {};
+    const entry = {
+      id: randomUUID(),
+      ts: new Date().toISOString(),
+      instance,
+      account,
+      tool: context.tool ?? null,
+      args: context.args === undefined ? null : sanitizeArgs(context.args),
+      method,
+      path,
+      status: status ?? null,
+      ok: Boolean(ok),
+      ...(error ? { error: String(error).slice(0, 500) } : {}),
+      attempts: attempts ?? null,
+      durationMs: durationMs ?? null,
+      bugIds: extractBugIds(path, method, data),
+    };
+    writeChain = writeChain
+      .then(() => append(entry))
+      .catch((err) => {
+        process.stderr.write(`zentao audit: failed to write ${logFile}: ${String(err?.message || err)}\n`);
+      });
+    await writeChain;
+    return entry;
+  }
+
+  async function readEntries(file) {
+    let text = "";
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // 进程中途退出可能留下半行，跳过
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 按条件查询最近的审计记录（新的在前），依次读当前文件与轮转文件，凑满 limit 即停止。
+   * scopes：[{ instance, account }]，给出时只返回这些实例+账号产生的记录（调用方会话可见的范围）。
+   */
+  async function query({ tool, instance, account, bugId, method, since, until, failedOnly = false, limit = 50, scopes } = {}) {
+    if (!active) {
+      throw new Error("Audit log is disabled (off by default); set ZENTAO_AUDIT_LOG_FILE or ZENTAO_AUDIT_ENABLED=true");
+    }
+    const sinceTime = parseTime(since, "since");
+    const untilTime = parseTime(until, "until");
+    const wantedLimit = Math.min(Math.max(1, Math.trunc(Number(limit) || 50)), MAX_QUERY_LIMIT);
+    const wantedMethod = method ? String(method).toUpperCase() : "";
+    const wantedBugId = bugId === undefined ? null : Number(bugId);
+
+    const matches = (entry) => {
+      if (scopes && !scopes.some((scope) => entry.instance === scope.instance && entry.account === scope.account)) return false;
+      if (tool && entry.tool !== tool) return false;
+      if (instance && entry.instance !== String(instance).toLowerCase()) return false;
+      if (account && entry.account !== account) return false;
+      if (wantedMethod && entry.method !== wantedMethod) return false;
+      if (wantedBugId !== null && !(entry.bugIds || []).includes(wantedBugId)) return false;
+      if (failedOnly && entry.ok) return false;
+      const time = Date.parse(entry.ts);
+      if (sinceTime !== null && !(time >= sinceTime)) return false;
+      if (untilTime !== null && !(time <= untilTime)) return false;
+      return true;
+    };
+
+    await writeChain;
+    const entries = [];
+    let hasMore = false;
+    const files = [logFile, ...Array.from({ length: maxFiles }, (_, index) => `${logFile}.${index + 1}`)];
+    for (const file of files) {
+      const fileEntries = await readEntries(file);
+      for (let index = fileEntries.length - 1; index >= 0; index -= 1) {
+        if (!matches(fileEntries[index])) continue;
+        if (entries.length >= wantedLimit) {
+          hasMore = true;
+          break;
+        }
+        entries.push(fileEntries[index]);
+      }
+      if (hasMore) break;
+    }
+    return { logFile, count: entries.length, hasMore, entries };
+  }
+
+  return { enabled: active, logFile, runWithContext, record, query };
+}
@@ -0,0 +1,495 @@
+import fs from "node:fs/promises";
+import nodePath from "node:path";
+import os from "node:os";
+import { compileToolPattern } from "./policy.js";
+import { OUTPUT_FORMATS } from "./format.js";
+import { TOOLS } from "./tools.js";
+
+export const DEFAULT_INSTANCE_NAME = "default";
+
+const INSTANCE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * 单个禅道实例的配置项。
+ * - key：配置文件中的字段名；env：环境变量后缀（默认实例 ZENTAO_<env>，命名实例 ZENTAO_INSTANCE_<NAME>_<env>）
+ * - instanceOnly：描述“连哪个禅道、用哪个账号”的配置，命名实例不沿用全局值
+ */
+const INSTANCE_SETTINGS = [
+  { key: "baseUrl", env: "BASE_URL", type: "url", instanceOnly: true },
+  { key: "apiPrefix", env: "API_PREFIX", type: "string", default: "/api.php/v1", instanceOnly: true },
+  { key: "tokenPath", env: "TOKEN_PATH", type: "string", instanceOnly: true },
+  { key: "account", env: "ACCOUNT", type: "string", instanceOnly: true },
+  { key: "password", env: "PASSWORD", type: "string", instanceOnly: true },
+  { key: "productId", env: "PRODUCT_ID", type: "int", min: 1, instanceOnly: true },
+  { key: "projectSetId", env: "PROJECT_SET_ID", type: "int", min: 1, instanceOnly: true },
+  { key: "myBugsPath", env: "MY_BUGS_PATH", type: "string", default: "", instanceOnly: true },
+  { key: "bugsFallbackPaths", env: "BUGS_FALLBACK_PATHS", type: "list", default: [], instanceOnly: true },
+  { key: "projectSetBugsPaths", env: "PROJECT_SET_BUGS_PATHS", type: "list", default: [], instanceOnly: true },
+  { key: "myStoriesPath", env: "MY_STORIES_PATH", type: "string", default: "", instanceOnly: true },
+  { key: "myTasksPath", env: "MY_TASKS_PATH", type: "string", default: "", instanceOnly: true },
+  {
+    key: "fileDownloadPath",
+    env: "FILE_DOWNLOAD_PATH",
+    type: "string",
+    default: "/index.php?m=file&f=download&fileID={id}",
+    instanceOnly: true,
+  },
+  {
+    key: "bugRequiredFieldsPath",
+    env: "BUG_REQUIRED_FIELDS_PATH",
+    type: "string",
+    default: "/index.php?m=custom&f=required&moduleName=bug&t=json",
+    instanceOnly: true,
+  },
+  { key: "bugRequiredFields", env: "BUG_REQUIRED_FIELDS", type: "list", default: ["title", "openedBuild"], instanceOnly: true },
+  { key: "uploadPath", env: "UPLOAD_PATH", type: "string", default: "/files", instanceOnly: true },
+  { key: "tokenTtlMs", env: "TOKEN_TTL_MS", type: "int", min: 1000, default: 3000000 },
+  { key: "tokenCacheFile", env: "TOKEN_CACHE_FILE", type: "string", default: "" },
+  { key: "routeCacheFile", env: "ROUTE_CACHE_FILE", type: "string", default: "" },
+  { key: "timeoutMs", env: "HTTP_TIMEOUT_MS", type: "int", min: 100, max: 600000, default: 30000 },
+  { key: "exposeToken", env: "EXPOSE_TOKEN", type: "bool", default: false },
+  { key: "dryRun", env: "DRY_RUN", type: "bool", default: false },
+  { key: "retryMaxAttempts", env: "RETRY_MAX_ATTEMPTS", type: "int", min: 1, max: 10, default: 3 },
+  { key: "retryBaseDelayMs", env: "RETRY_BASE_DELAY_MS", type: "int", min: 0, max: 60000, default: 500 },
+  { key: "retryMaxDelayMs", env: "RETRY_MAX_DELAY_MS", type: "int", min: 0, max: 300000, default: 8000 },
+  { key: "retryDeadlineMs", env: "RETRY_DEADLINE_MS", type: "int", min: 0, max: 600000, default: 30000 },
+  { key: "batchConcurrency", env: "BATCH_CONCURRENCY", type: "int", min: 1, max: 32, default: 4 },
+  { key: "batchRatePerSecond", env: "BATCH_RATE_PER_SECOND", type: "int", min: 0, max: 1000, default: 10 },
+  { key: "mediaMaxBytes", env: "MEDIA_MAX_BYTES", type: "int", min: 1, default: 5242880 },
+  { key: "mediaMaxTotalBytes", env: "MEDIA_MAX_TOTAL_BYTES", type: "int", min: 1, default: 10485760 },
+  { key: "uploadMaxBytes", env: "UPLOAD_MAX_BYTES", type: "int", min: 1, default: 20971520 },
+  { key: "uploadAllowedDirs", env: "UPLOAD_ALLOWED_DIRS", type: "list", default: [] },
+];
+
+// HTTP 传输相关配置：配置文件 http.<key>，环境变量 ZENTAO_MCP_<env>
+const HTTP_SETTINGS = [
+  { key: "host", env: "HOST", type: "string", default: "127.0.0.1" },
+  { key: "port", env: "PORT", type: "int", min: 0, max: 65535, default: 3000 },
+  { key: "authTokens", env: "AUTH_TOKENS", type: "list", default: [], secret: true },
+  { key: "sessionIdleMs", env: "SESSION_IDLE_MS", type: "int", min: 1000, default: 1800000 },
+  { key: "allowSessionCredentials", env: "ALLOW_SESSION_CREDENTIALS", type: "bool", default: false },
+  { key: "allowedHosts", env: "ALLOWED_HOSTS", type: "list", default: [] },
+  { key: "allowedOrigins", env: "ALLOWED_ORIGINS", type: "list", default: [] },
+];
+
+// 服务端策略（对所有实例、所有会话生效）：配置文件 policy.<key>，环境变量 ZENTAO_<env>
+const POLICY_SETTINGS = [
+  { key: "readOnly", env: "READ_ONLY", type: "bool", default: false },
+  { key: "allowedTools", env: "ALLOWED_TOOLS", type: "list", default: [] },
+  { key: "deniedTools", env: "DENIED_TOOLS", type: "list", default: [] },
+  { key: "callAllowedMethods", env: "CALL_ALLOWED_METHODS", type: "list", default: [] },
+  { key: "callAllowedPaths", env: "CALL_ALLOWED_PATHS", type: "list", default: [] },
+];
+// 写操作审计日志（所有实例共用一个文件）：配置文件 audit.<key>，环境变量 ZENTAO_AUDIT_<env>。
+// 日志会记录写工具的参数（bug 标题、备注等），默认关闭：配置了 logFile 或 enabled=true 才开启
+const DEFAULT_AUDIT_LOG_FILE = "~/.zentao-mcp/audit.jsonl";
+const AUDIT_SETTINGS = [
+  { key: "enabled", env: "ENABLED", type: "bool" },
+  { key: "logFile", env: "LOG_FILE", type: "string", default: "" },
+  { key: "maxBytes", env: "MAX_BYTES", type: "int", min: 1024, default: 10485760 },
+  { key: "maxFiles", env: "MAX_FILES", type: "int", min: 1, max: 100, default: 5 },
+];
+// 列表/详情工具的默认输出（可被每次调用的 format/maxChars 覆盖）：配置文件 output.<key>，环境变量 ZENTAO_OUTPUT_<env>
+const OUTPUT_SETTINGS = [
+  { key: "format", env: "FORMAT", type: "string", default: "json" },
+  { key: "maxChars", env: "MAX_CHARS", type: "int", min: 0, default: 0 },
+];
+const HTTP_METHODS = ["GET", "HEAD", "OPTIONS", "POST", "PUT", "PATCH", "DELETE"];
+
+const TOP_LEVEL_FILE_KEYS = new Set(["transport", "defaultInstance", "instances", "http", "policy", "audit", "output"]);
+const TRANSPORTS = ["stdio", "http"];
+
+export function instanceEnvName(instance, key) {
+  if (!instance || instance === DEFAULT_INSTANCE_NAME) return `ZENTAO_${key}`;
+  return `ZENTAO_INSTANCE_${instance.toUpperCase().replace(/-/g, "_")}_${key}`;
+}
+
+function describeValue(value) {
+  return JSON.stringify(value) ?? String(value);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// 把环境变量（字符串）或配置文件中的原始值转换为目标类型；不合法时返回 { error }
+function coerceSetting(setting, raw) {
+  const fromEnv = typeof raw === "string";
+  if (setting.type === "string") {
+    if (typeof raw !== "string") return { error: `must be a string (got ${describeValue(raw)})` };
+    return { value: raw.trim() };
+  }
+  if (setting.type === "url") {
+    const text = typeof raw === "string" ? raw.trim() : "";
+    let url = null;
+    try {
+      url = new URL(text);
+    } catch {
+      url = null;
+    }
+    if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+      return { error: `must be an http(s) URL (got ${describeValue(raw)})` };
+    }
+    return { value: text.replace(/\/+$/, "") };
+  }
+  if (setting.type === "int") {
+    const value = fromEnv && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw;
+    const range =
+      setting.max !== undefined ? `between ${setting.min} and ${setting.max}` : `>= ${setting.min ?? 0}`;
+    if (
+      !Number.isInteger(value) ||
+      (setting.min !== undefined && value < setting.min) ||
+      (setting.max !== undefined && value > setting.max)
+    ) {
+      return { error: `must be an integer ${range} (got ${describeValue(raw)})` };
+    }
+    return { value };
+  }
+  if (setting.type === "bool") {
+    if (typeof raw === "boolean") return { value: raw };
+    const text = fromEnv ? raw.trim().toLowerCase() : "";
+    if (["true", "1", "yes", "on"].includes(text)) return { value: true };
+    if (["false", "0", "no", "off"].includes(text)) return { value: false };
+    return { error: `must be true or false (got ${describeValue(raw)})` };
+  }
+  if (setting.type === "list") {
+    const items = fromEnv ? raw.split(",") : raw;
+    if (!Array.isArray(items) || items.some((item) => typeof item !== "string")) {
+      return { error: `must be a list of strings (got ${describeValue(raw)})` };
+    }
+    return { value: items.map((item) => item.trim()).filter(Boolean) };
+  }
+  throw new Error(`Unknown setting type: ${setting.type}`);
+}
+
+function envLayer(env, nameOf) {
+  return {
+    get(setting) {
+      const label = nameOf(setting.env);
+      const raw = env[label];
+      return raw === undefined || raw === "" ? undefined : { raw, label };
+    },
+  };
+}
+
+function fileLayer(section, labelPrefix) {
+  return {
+    get(setting) {
+      if (!isPlainObject(section) || section[setting.key] === undefined || section[setting.key] === null) return undefined;
+      return { raw: section[setting.key], label: `${labelPrefix}${setting.key}` };
+    },
+  };
+}
+
+// 按层依次取值（先命中先用），记录值来源便于 check-config 排查
+function resolveSettings(settings, layersFor, issues) {
+  const values = {};
+  const sources = {};
+  for (const setting of settings) {
+    let resolved = false;
+    for (const layer of layersFor(setting)) {
+      const hit = layer.get(setting);
+      if (!hit) continue;
+      const { value, error } = coerceSetting(setting, hit.raw);
+      if (error) issues.push(`${hit.label}: ${error}`);
+      else values[setting.key] = value;
+      sources[setting.key] = hit.label;
+      resolved = true;
+      break;
+    }
+    if (!resolved && setting.default !== undefined) {
+      values[setting.key] = Array.isArray(setting.default) ? [...setting.default] : setting.default;
+      sources[setting.key] = "default";
+    }
+  }
+  return { values, sources };
+}
+
+function checkUnknownKeys(section, allowedKeys, labelPrefix, issues) {
+  if (!isPlainObject(section)) return;
+  for (const key of Object.keys(section)) {
+    if (allowedKeys.has(key)) continue;
+    const suggestion = [...allowedKeys].find((allowed) => allowed.toLowerCase() === key.toLowerCase());
+    issues.push(`${labelPrefix}${key}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`);
+  }
+}
+
+async function readConfigFile(configPath) {
+  const absolutePath = nodePath.resolve(configPath);
+  let text = "";
+  try {
+    text = await fs.readFile(absolutePath, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read config file ${absolutePath}: ${String(err?.message || err)}`);
+  }
+
+  const ext = nodePath.extname(absolutePath).toLowerCase();
+  let data = null;
+  try {
+    if (ext === ".json") {
+      data = JSON.parse(text);
+    } else {
+      const { parse } = await import("yaml");
+      data = parse(text);
+    }
+  } catch (err) {
+    throw new Error(`Cannot parse config file ${absolutePath}: ${String(err?.message || err)}`);
+  }
+  if (data === null || data === undefined) data = {};
+  if (!isPlainObject(data)) throw new Error(`Config file ${absolutePath} must contain an object at the top level`);
+  return { path: absolutePath, data };
+}
+
+// MCP 客户端的 env 不经过 shell，"~" 不会被展开，这里统一处理
+function resolveLocalPath(value) {
+  if (!value) return "";
+  const expanded = value === "~" || value.startsWith("~/") ? nodePath.join(os.homedir(), value.slice(1)) : value;
+  return nodePath.resolve(expanded);
+}
+
+function toClientConfig(instance, values) {
+  const apiPrefix = String(values.apiPrefix || "").replace(/\/+$/, "");
+  return {
+    instance,
+    baseUrl: values.baseUrl,
+    apiPrefix,
+    tokenPath: values.tokenPath || `${apiPrefix}/tokens`,
+    tokenTtlMs: values.tokenTtlMs,
+    tokenCacheFile: resolveLocalPath(values.tokenCacheFile),
+    routeCacheFile: resolveLocalPath(values.routeCacheFile),
+    timeoutMs: values.timeoutMs,
+    exposeToken: values.exposeToken,
+    dryRun: values.dryRun,
+    retryMaxAttempts: values.retryMaxAttempts,
+    retryBaseDelayMs: values.retryBaseDelayMs,
+    retryMaxDelayMs: values.retryMaxDelayMs,
+    retryDeadlineMs: values.retryDeadlineMs,
+    batchConcurrency: values.batchConcurrency,
+    batchRatePerSecond: values.batchRatePerSecond,
+    defaultProductId: values.productId ?? null,
+    defaultProjectSetId: values.projectSetId ?? null,
+    myBugsPath: values.myBugsPath,
+    bugsFallbackPaths: values.bugsFallbackPaths,
+    projectSetBugsPaths: values.projectSetBugsPaths,
+    myStoriesPath: values.myStoriesPath,
+    myTasksPath: values.myTasksPath,
+    fileDownloadPath: values.fileDownloadPath,
+    bugRequiredFieldsPath: values.bugRequiredFieldsPath,
+    bugRequiredFields: values.bugRequiredFields,
+    mediaMaxBytes: values.mediaMaxBytes,
+    mediaMaxTotalBytes: values.mediaMaxTotalBytes,
+    uploadPath: values.uploadPath,
+    uploadMaxBytes: values.uploadMaxBytes,
+    uploadAllowedDirs: values.uploadAllowedDirs,
+    auth: { account: values.account || "", password: values.password || "" },
+  };
+}
+
+// 拼错的工具名/方法会让白名单悄悄失效（或把所有工具都挡掉），启动时就报出来
+function checkPolicy(policy, policySources, issues) {
+  const toolNames = TOOLS.map((tool) => tool.name);
+  for (const key of ["allowedTools", "deniedTools"]) {
+    for (const pattern of policy[key]) {
+      const regex = compileToolPattern(pattern);
+      if (!toolNames.some((name) => regex.test(name))) {
+        issues.push(`${policySources[key]}: "${pattern}" does not match any tool`);
+      }
+    }
+  }
+  policy.callAllowedMethods = policy.callAllowedMethods.map((method) => method.toUpperCase());
+  for (const method of policy.callAllowedMethods) {
+    if (!HTTP_METHODS.includes(method)) {
+      issues.push(`${policySources.callAllowedMethods}: "${method}" is not one of ${HTTP_METHODS.join(", ")}`);
+    }
+  }
+}
+
+/**
+ * 统一加载配置：命令行 > 环境变量 > 配置文件（JSON/YAML）> 默认值。
+ * 校验失败时一次性抛出全部问题（err.issues），避免用户逐个试错。
+ * requireCredentials=false 时允许实例缺少账号（HTTP 模式下由会话请求头提供）。
+ */
+export async function loadConfig({ cli = {}, env = process.env, requireCredentials } = {}) {
+  const issues = [];
+  const filePath = String(cli.config || env.ZENTAO_CONFIG || "").trim();
+  const file = filePath ? await readConfigFile(filePath) : { path: null, data: {} };
+  const fileData = file.data;
+  const fileLabel = file.path ? nodePath.basename(file.path) : "";
+
+  const instanceFileKeys = new Set(INSTANCE_SETTINGS.map((setting) => setting.key));
+  checkUnknownKeys(fileData, new Set([...TOP_LEVEL_FILE_KEYS, ...instanceFileKeys]), `${fileLabel}: `, issues);
+  checkUnknownKeys(fileData.http, new Set(HTTP_SETTINGS.map((setting) => setting.key)), `${fileLabel}: http.`, issues);
+  checkUnknownKeys(fileData.audit, new Set(AUDIT_SETTINGS.map((setting) => setting.key)), `${fileLabel}: audit.`, issues);
+  checkUnknownKeys(fileData.output, new Set(OUTPUT_SETTINGS.map((setting) => setting.key)), `${fileLabel}: output.`, issues);
+  checkUnknownKeys(fileData.policy, new Set(POLICY_SETTINGS.map((setting) => setting.key)), `${fileLabel}: policy.`, issues);
+  if (fileData.instances !== undefined && !isPlainObject(fileData.instances)) {
+    issues.push(`${fileLabel}: instances must be an object of { name: settings }`);
+  }
+  const fileInstances = isPlainObject(fileData.instances) ? fileData.instances : {};
+
+  const transportRaw = cli.transport || env.ZENTAO_MCP_TRANSPORT || fileData.transport || "stdio";
+  const transport = String(transportRaw).trim().toLowerCase();
+  if (!TRANSPORTS.includes(transport)) {
+    issues.push(`transport: must be one of ${TRANSPORTS.join(", ")} (got ${describeValue(transportRaw)})`);
+  }
+
+  const { values: http, sources: httpSources } = resolveSettings(
+    HTTP_SETTINGS,
+    () => [envLayer(env, (suffix) => `ZENTAO_MCP_${suffix}`), fileLayer(fileData.http, `${fileLabel}: http.`)],
+    issues
+  );
+  if (cli.host !== undefined) {
+    http.host = String(cli.host).trim();
+    httpSources.host = "--host";
+  }
+  if (cli.port !== undefined) {
+    const { value, error } = coerceSetting(HTTP_SETTINGS.find((setting) => setting.key === "port"), String(cli.port));
+    if (error) issues.push(`--port: ${error}`);
+    else {
+      http.port = value;
+      httpSources.port = "--port";
+    }
+  }
+
+  // HTTP 模式允许客户端用请求头提供账号时，服务端可以不配置默认账号
+  const credentialsRequired = requireCredentials ?? !(transport === "http" && http.allowSessionCredentials);
+
+  const envNames = String(env.ZENTAO_INSTANCES || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const names = [];
+  for (const [name, label] of [
+    ...Object.keys(fileInstances).map((name) => [name, `${fileLabel}: instances.${name}`]),
+    ...envNames.map((name) => [name, `ZENTAO_INSTANCES entry "${name}"`]),
+  ]) {
+    const key = name.toLowerCase();
+    if (!INSTANCE_NAME_PATTERN.test(name)) issues.push(`${label}: instance names may only use letters, digits, "-" or "_"`);
+    else if (key === DEFAULT_INSTANCE_NAME) {
+      issues.push(`${label}: "${DEFAULT_INSTANCE_NAME}" is reserved for the top-level / plain ZENTAO_* settings`);
+    } else if (!names.includes(key)) names.push(key);
+  }
+
+  const globalLayers = [envLayer(env, (suffix) => `ZENTAO_${suffix}`), fileLayer(fileData, `${fileLabel}: `)];
+  const configs = new Map();
+  const sources = {};
+
+  function addInstance(name, layersFor) {
+    const { values, sources: instanceSources } = resolveSettings(INSTANCE_SETTINGS, layersFor, issues);
+    const fileKeyPrefix = name === DEFAULT_INSTANCE_NAME ? "" : `instances.${name}.`;
+    const requiredLabel = (setting) => `${instanceEnvName(name, setting)} (config: ${fileKeyPrefix}${setting === "BASE_URL" ? "baseUrl" : setting.toLowerCase()})`;
+    if (!instanceSources.baseUrl) issues.push(`${requiredLabel("BASE_URL")}: required`);
+    if (values.account && !values.password) {
+      issues.push(`${requiredLabel("PASSWORD")}: required when account is set`);
+    } else if (!values.account && values.password) {
+      issues.push(`${requiredLabel("ACCOUNT")}: required when password is set`);
+    } else if (credentialsRequired && !values.account) {
+      issues.push(`${requiredLabel("ACCOUNT")} and ${requiredLabel("PASSWORD")}: required`);
+    }
+    configs.set(name, toClientConfig(name, values));
+    sources[name] = instanceSources;
+  }
+
+  const hasGlobalBaseUrl = Boolean(env.ZENTAO_BASE_URL) || fileData.baseUrl !== undefined;
+  if (hasGlobalBaseUrl || names.length === 0) {
+    addInstance(DEFAULT_INSTANCE_NAME, () => globalLayers);
+  }
+  for (const name of names) {
+    const section = Object.entries(fileInstances).find(([key]) => key.toLowerCase() === name)?.[1];
+    if (section !== undefined && !isPlainObject(section)) {
+      issues.push(`${fileLabel}: instances.${name} must be an object`);
+    }
+    checkUnknownKeys(section, instanceFileKeys, `${fileLabel}: instances.${name}.`, issues);
+    const ownLayers = [envLayer(env, (suffix) => instanceEnvName(name, suffix)), fileLayer(section, `${fileLabel}: instances.${name}.`)];
+    addInstance(name, (setting) => (setting.instanceOnly ? ownLayers : [...ownLayers, ...globalLayers]));
+  }
+
+  const defaultInstanceRaw = String(env.ZENTAO_DEFAULT_INSTANCE || fileData.defaultInstance || "").trim().toLowerCase();
+  const defaultInstance = defaultInstanceRaw || configs.keys().next().value;
+  if (!configs.has(defaultInstance)) {
+    issues.push(`defaultInstance: "${defaultInstance}" is not configured (available: ${[...configs.keys()].join(", ")})`);
+  }
+
+  const { values: policy, sources: policySources } = resolveSettings(
+    POLICY_SETTINGS,
+    () => [envLayer(env, (suffix) => `ZENTAO_${suffix}`), fileLayer(fileData.policy, `${fileLabel}: policy.`)],
+    issues
+  );
+  checkPolicy(policy, policySources, issues);
+
+  const { values: audit, sources: auditSources } = resolveSettings(
+    AUDIT_SETTINGS,
+    () => [envLayer(env, (suffix) => `ZENTAO_AUDIT_${suffix}`), fileLayer(fileData.audit, `${fileLabel}: audit.`)],
+    issues
+  );
+  if (audit.enabled === undefined) {
+    audit.enabled = Boolean(audit.logFile);
+    auditSources.enabled = audit.logFile ? `${auditSources.logFile} (logFile set)` : "default";
+  }
+  if (audit.enabled && !audit.logFile) {
+    audit.logFile = DEFAULT_AUDIT_LOG_FILE;
+    auditSources.logFile = "default";
+  }
+  audit.logFile = resolveLocalPath(audit.logFile);
+
+  const { values: output, sources: outputSources } = resolveSettings(
+    OUTPUT_SETTINGS,
+    () => [envLayer(env, (suffix) => `ZENTAO_OUTPUT_${suffix}`), fileLayer(fileData.output, `${fileLabel}: output.`)],
+    issues
+  );
+  output.format = String(output.format ?? "json").toLowerCase();
+  if (!OUTPUT_FORMATS.includes(output.format)) {
+    issues.push(`${outputSources.format}: must be one of ${OUTPUT_FORMATS.join(", ")} (got ${describeValue(output.format)})`);
+  }
+
+  if (issues.length > 0) {
+    const err = new Error(`Invalid configuration:\n${issues.map((issue) => `  - ${issue}`).join("\n")}`);
+    err.issues = issues;
+    throw err;
+  }
+
+  return {
+    configFile: file.path,
+    transport,
+    defaultInstance,
+    configs,
+    http,
+    policy,
+    audit,
+    output,
+    sources: { instances: sources, http: httpSources, policy: policySources, audit: auditSources, output: outputSources },
+  };
+}
+
+function maskSecret(value) {
+  if (Array.isArray(value)) return value.map((item) => maskSecret(item));
+  return value ? "***" : "";
+}
+
+/**
+ * check-config 输出：生效配置（密钥打码）+ 每个值的来源。
+ */
+export function describeConfig(loaded) {
+  const instances = {};
+  for (const [name, config] of loaded.configs) {
+    instances[name] = {
+      ...config,
+      auth: { account: config.auth.account, password: maskSecret(config.auth.password) },
+      sources: loaded.sources.instances[name],
+    };
+  }
+  const http = { ...loaded.http };
+  for (const setting of HTTP_SETTINGS) {
+    if (setting.secret) http[setting.key] = maskSecret(http[setting.key]);
+  }
+  return {
+    configFile: loaded.configFile,
+    transport: loaded.transport,
+    defaultInstance: loaded.defaultInstance,
+    instances,
+    http: { ...http, sources: loaded.sources.http },
+    policy: { ...loaded.policy, sources: loaded.sources.policy },
+    audit: { ...loaded.audit, sources: loaded.sources.audit },
+    output: { ...loaded.output, sources: loaded.sources.output },
+  };
+}
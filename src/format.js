@@ -0,0 +1,238 @@
+import { stripHtml } from "./zentao.js";
+
+export const OUTPUT_FORMATS = ["json", "compact", "markdown", "table"];
+
+// 结果中承载条目的字段：详情优先于列表（如 get_test_case 同时有 case 与 steps）
+const DETAIL_KEYS = ["bug", "story", "task", "case", "project"];
+const LIST_KEYS = ["bugs", "stories", "tasks", "projects", "cases", "testTasks", "runs", "timeline", "entries"];
+
+// table 格式未指定 fields 时的默认列
+const DEFAULT_COLUMNS = {
+  bugs: ["id", "title", "status", "severity", "pri", "assignedTo", "deadline"],
+  stories: ["id", "title", "status", "stage", "pri", "assignedTo"],
+  tasks: ["id", "name", "status", "assignedTo", "consumed", "left"],
+  projects: ["id", "name", "status", "pm", "begin", "end"],
+  cases: ["id", "title", "status", "lastRunResult"],
+  testTasks: ["id", "name", "status", "build", "begin", "end"],
+  runs: ["id", "caseId", "title", "lastRunResult"],
+  timeline: ["date", "actor", "action", "comment"],
+  entries: ["ts", "tool", "method", "path", "status", "ok"],
+};
+
+// 超出字符预算时依次尝试的单个文本字段上限，仍超出再丢弃末尾条目
+const TEXT_LIMITS = [2000, 1000, 500, 200, 100, 40];
+
+function locatePayload(resp) {
+  for (const key of DETAIL_KEYS) {
+    if (resp?.[key] && typeof resp[key] === "object" && !Array.isArray(resp[key])) return { kind: "detail", key };
+  }
+  for (const key of LIST_KEYS) {
+    if (Array.isArray(resp?.[key])) return { kind: "list", key };
+  }
+  return null;
+}
+
+// id 总是保留，便于后续按 id 调用详情或写工具
+function pickFields(record, fields) {
+  if (!fields || fields.length === 0 || !record || typeof record !== "object") return record;
+  const picked = {};
+  for (const field of ["id", ...fields]) {
+    if (record[field] !== undefined) picked[field] = record[field];
+  }
+  return picked;
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === "object" && Object.keys(value).length === 0;
+}
+
+// compact/markdown/table 共用：去 HTML、去空值，用户折叠为账号、关联对象折叠为名称
+function compactValue(value) {
+  if (typeof value === "string") return /<[a-z/][^>]*>/i.test(value) ? stripHtml(value) : value;
+  if (Array.isArray(value)) return value.map(compactValue).filter((item) => !isEmpty(item));
+  if (!value || typeof value !== "object") return value;
+  const keys = Object.keys(value);
+  if (keys.includes("account") && keys.every((key) => key === "account" || key === "realname")) {
+    return value.account || value.realname;
+  }
+  if (keys.length === 2 && keys.includes("id") && keys.includes("name")) return value.name || value.id;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const compacted = compactValue(item);
+    if (!isEmpty(compacted)) result[key] = compacted;
+  }
+  return result;
+}
+
+// 截断超长字符串，按条目的顶层字段名计数
+function limitText(value, limit, counts, field) {
+  if (typeof value === "string") {
+    if (value.length <= limit) return value;
+    counts[field] = (counts[field] || 0) + 1;
+    return `${value.slice(0, limit)}…(+${value.length - limit} chars)`;
+  }
+  if (Array.isArray(value)) return value.map((item) => limitText(item, limit, counts, field));
+  if (!value || typeof value !== "object") return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) result[key] = limitText(item, limit, counts, field ?? key);
+  return result;
+}
+
+function displayCell(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.map((item) => displayCell(item)).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function escapeTableCell(value) {
+  return displayCell(value).replaceAll("|", "\\|").replace(/\s+/g, " ").trim();
+}
+
+function renderMeta(meta) {
+  const parts = Object.entries(meta)
+    .filter(([, value]) => !isEmpty(value))
+    .map(([key, value]) => `**${key}**: ${displayCell(value)}`);
+  return parts.length > 0 ? [parts.join(" · ")] : [];
+}
+
+function renderHeading(record, index) {
+  const label = record.title || record.name || "";
+  if (record.id !== undefined) return `### #${record.id}${label ? ` ${label}` : ""}`;
+  return `### ${index + 1}.${label ? ` ${label}` : ""}`;
+}
+
+function renderRecord(record) {
+  return Object.entries(record)
+    .filter(([key]) => !["id", "title", "name"].includes(key))
+    .map(([key, value]) => `- **${key}**: ${displayCell(value).replace(/\n/g, "\n  ")}`);
+}
+
+function renderTruncationNote(truncation) {
+  if (!truncation) return [];
+  const parts = [];
+  const fields = Object.entries(truncation.truncatedFields || {});
+  if (fields.length > 0) {
+    parts.push(`shortened ${fields.map(([field, count]) => `${field} (${count})`).join(", ")} to ${truncation.textLimit} chars`);
+  }
+  if (truncation.omittedItems) parts.push(`omitted the last ${truncation.omittedItems} items`);
+  return ["", `_Truncated to fit maxChars=${truncation.maxChars}: ${parts.join("; ") || "output cut"}._`];
+}
+
+function splitOutput(output, located) {
+  const { truncation, ...rest } = output;
+  const meta = { ...rest };
+  delete meta[located.key];
+  return { meta, payload: output[located.key], truncation };
+}
+
+function renderMarkdown(output, located) {
+  const { meta, payload, truncation } = splitOutput(output, located);
+  const lines = [];
+  if (located.kind === "detail") {
+    lines.push(renderHeading(payload, 0), ...renderRecord(payload));
+    const extra = renderMeta(meta);
+    if (extra.length > 0) lines.push("", ...extra);
+  } else {
+    lines.push(...renderMeta(meta));
+    payload.forEach((record, index) => {
+      lines.push("", ...(record && typeof record === "object" ? [renderHeading(record, index), ...renderRecord(record)] : [`- ${displayCell(record)}`]));
+    });
+  }
+  lines.push(...renderTruncationNote(truncation));
+  return lines.join("\n");
+}
+
+function renderTable(output, located, fields) {
+  const { meta, payload, truncation } = splitOutput(output, located);
+  const lines = [...renderMeta(meta)];
+  if (lines.length > 0) lines.push("");
+  if (located.kind === "detail") {
+    lines.push("| Field | Value |", "| --- | --- |");
+    for (const [key, value] of Object.entries(payload)) lines.push(`| ${key} | ${escapeTableCell(value)} |`);
+  } else {
+    const records = payload.filter((record) => record && typeof record === "object");
+    const present = new Set(records.flatMap((record) => Object.keys(record)));
+    const preferred = fields && fields.length > 0 ? ["id", ...fields] : DEFAULT_COLUMNS[located.key] || [];
+    let columns = [...new Set(preferred)].filter((column) => present.has(column));
+    if (columns.length === 0) columns = [...present].slice(0, 8);
+    lines.push(`| ${columns.join(" | ")} |`, `| ${columns.map(() => "---").join(" | ")} |`);
+    for (const record of records) lines.push(`| ${columns.map((column) => escapeTableCell(record[column])).join(" | ")} |`);
+  }
+  lines.push(...renderTruncationNote(truncation));
+  return lines.join("\n");
+}
+
+function render(output, located, format, fields) {
+  if (format === "compact") return JSON.stringify(output);
+  if (format === "markdown" && located) return renderMarkdown(output, located);
+  if (format === "table" && located) return renderTable(output, located, fields);
+  if (format === "json") return JSON.stringify(output, null, 2);
+  return JSON.stringify(output);
+}
+
+/**
+ * 按 format 渲染列表/详情工具的结果：
+ * - json：原样输出（默认）；compact：去 HTML/空值的单行 JSON；markdown：逐条列出字段；table：Markdown 表格
+ * - fields：只保留条目（bugs/stories/... 或 bug/story/...）的这些字段，id 总是保留
+ * - maxChars：字符预算，超出时先逐级缩短长文本字段、再丢弃末尾条目，结果中用 truncation 说明截掉了什么
+ */
+export function formatToolOutput(resp, { format = "json", fields, maxChars = 0 } = {}) {
+  const located = locatePayload(resp);
+  let base = resp;
+  if (located) {
+    const payload = resp[located.key];
+    base = { ...resp, [located.key]: located.kind === "list" ? payload.map((item) => pickFields(item, fields)) : pickFields(payload, fields) };
+  }
+  if (format !== "json") {
+    // 顶层 raw 只有状态码与尝试过的路径，非 json 格式下省掉
+    const { raw, ...rest } = base;
+    base = compactValue(rest);
+    if (located && base[located.key] === undefined) base[located.key] = located.kind === "list" ? [] : {};
+  }
+
+  const text = render(base, located, format, fields);
+  if (!maxChars || text.length <= maxChars) return text;
+
+  const attempt = (limit, itemCount) => {
+    const counts = {};
+    let output = base;
+    if (located) {
+      const payload = base[located.key];
+      const kept = located.kind === "list" ? payload.slice(0, itemCount) : payload;
+      output = { ...base, [located.key]: limitText(kept, limit, counts) };
+    }
+    const omittedItems = located?.kind === "list" ? base[located.key].length - itemCount : 0;
+    const truncation = { maxChars, textLimit: limit, truncatedFields: counts, ...(omittedItems ? { omittedItems } : {}) };
+    return render({ ...output, truncation }, located, format, fields);
+  };
+
+  const totalItems = located?.kind === "list" ? base[located.key].length : 0;
+  for (const limit of TEXT_LIMITS) {
+    const candidate = attempt(limit, totalItems);
+    if (candidate.length <= maxChars) return candidate;
+  }
+  if (located?.kind === "list") {
+    // 二分查找在预算内能保留的最多条目数
+    const smallest = TEXT_LIMITS[TEXT_LIMITS.length - 1];
+    let low = 0;
+    let high = totalItems - 1;
+    let best = null;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      const candidate = attempt(smallest, middle);
+      if (candidate.length <= maxChars) {
+        best = candidate;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    if (best !== null) return best;
+  }
+  // 只剩元数据也超出预算时直接截断文本
+  const fallback = attempt(TEXT_LIMITS[TEXT_LIMITS.length - 1], 0);
+  return `${fallback.slice(0, Math.max(0, maxChars - 40))}\n…(output cut at maxChars=${maxChars})`;
+}
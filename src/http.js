@@ -0,0 +1,289 @@
+import http from "node:http";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MCP_PATH = "/mcp";
+const SSE_PATH = "/sse";
+const SSE_MESSAGES_PATH = "/messages";
+const HEALTH_PATH = "/healthz";
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "::1", "localhost"]);
+
+function log(message) {
+  process.stderr.write(`[zentao-mcp-http] ${message}\n`);
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
+
+function readHeader(req, name) {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value || "";
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  if (left.length !== right.length) return false;
+  return timingSafeEqual(left, right);
+}
+
+// 支持 Authorization: Bearer <token> 或 X-MCP-Secret: <token> 两种写法，token 列表中任意一个匹配即可
+function isAuthorized(req, authTokens) {
+  if (authTokens.length === 0) return true;
+  const authorization = readHeader(req, "authorization");
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization)?.[1]?.trim() || "";
+  const secret = readHeader(req, "x-mcp-secret").trim();
+  const presented = [bearer, secret].filter(Boolean);
+  return presented.some((value) => authTokens.some((token) => safeEqual(value, token)));
+}
+
+function parseHostname(value) {
+  try {
+    return new URL(value).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * 防 DNS 重绑定：浏览器页面可以把自己的域名解析到 127.0.0.1 后访问本服务，
+ * 因此校验 Host 与 Origin（MCP 传输规范要求校验 Origin）。
+ * - Host：配置了 allowedHosts 时必须匹配（主机名或 主机名:端口）；未配置且绑定回环地址时只接受回环主机名
+ * - Origin：非浏览器客户端不带 Origin，直接放行；带 Origin 时必须是回环地址或在 allowedOrigins 中
+ */
+function checkRequestOrigin(req, { loopback, allowedHosts, allowedOrigins }) {
+  const host = readHeader(req, "host").trim().toLowerCase();
+  const hostname = parseHostname(`http://${host}`);
+  if (allowedHosts.length > 0) {
+    if (!allowedHosts.includes(host) && !allowedHosts.includes(hostname)) return `Host ${host || "(missing)"} is not allowed`;
+  } else if (loopback && !LOOPBACK_HOSTS.has(hostname)) {
+    return `Host ${host || "(missing)"} is not allowed`;
+  }
+
+  const origin = readHeader(req, "origin").trim().toLowerCase().replace(/\/+$/, "");
+  if (!origin) return null;
+  if (allowedOrigins.includes(origin) || LOOPBACK_HOSTS.has(parseHostname(origin))) return null;
+  return `Origin ${origin} is not allowed`;
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of req) {
+    total += chunk.length;
+    if (total > MAX_BODY_BYTES) {
+      const err = new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+      err.status = 413;
+      throw err;
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    const err = new Error("Invalid JSON body");
+    err.status = 400;
+    throw err;
+  }
+}
+
+function isInitializeBody(body) {
+  if (Array.isArray(body)) return body.some((message) => isInitializeRequest(message));
+  return isInitializeRequest(body);
+}
+
+/**
+ * 以 HTTP 方式提供 MCP 服务：
+ * - Streamable HTTP：POST/GET/DELETE /mcp（会话 id 通过 Mcp-Session-Id 头传递）
+ * - 旧版 SSE 回退：GET /sse 建立事件流，POST /messages?sessionId=... 发送消息
+ * 每个会话调用一次 createSession(req) 创建独立的 MCP Server 与禅道客户端，会话之间不共享 Token。
+ */
+export async function startHttpServer({
+  host = "127.0.0.1",
+  port = 3000,
+  authTokens = [],
+  sessionIdleMs = 30 * 60 * 1000,
+  allowedHosts = [],
+  allowedOrigins = [],
+  createSession,
+}) {
+  if (typeof createSession !== "function") throw new Error("startHttpServer requires createSession");
+  if (authTokens.length === 0 && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error(
+      `Refusing to listen on ${host} without client auth; set ZENTAO_MCP_AUTH_TOKENS or bind to 127.0.0.1`
+    );
+  }
+
+  const originOptions = {
+    loopback: LOOPBACK_HOSTS.has(host),
+    allowedHosts: allowedHosts.map((item) => String(item).trim().toLowerCase()).filter(Boolean),
+    allowedOrigins: allowedOrigins.map((item) => String(item).trim().toLowerCase().replace(/\/+$/, "")).filter(Boolean),
+  };
+
+  // sessionId -> { kind, transport, server, lastSeen }
+  const sessions = new Map();
+
+  function touch(session) {
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  async function closeSession(sessionId, reason) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    log(`session ${sessionId} closed (${reason})`);
+    try {
+      await session.server.close();
+    } catch {
+      // ignore
+    }
+  }
+
+  async function openSession(req, kind, transport) {
+    const server = await createSession(req);
+    return { kind, transport, server, lastSeen: Date.now() };
+  }
+
+  async function handleStreamable(req, res) {
+    const sessionId = readHeader(req, "mcp-session-id");
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.kind !== "streamable") {
+        sendJsonRpcError(res, 404, -32001, "Session not found");
+        return;
+      }
+      await touch(session).transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== "POST" || !isInitializeBody(body)) {
+      sendJsonRpcError(res, 400, -32000, "Bad Request: missing Mcp-Session-Id header or not an initialize request");
+      return;
+    }
+
+    let session = null;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, session);
+        log(`session ${id} opened (streamable http)`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) closeSession(transport.sessionId, "transport closed");
+    };
+    session = await openSession(req, "streamable", transport);
+    await session.server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const session = await openSession(req, "sse", transport);
+    sessions.set(transport.sessionId, session);
+    log(`session ${transport.sessionId} opened (sse)`);
+    res.on("close", () => closeSession(transport.sessionId, "client disconnected"));
+    await session.server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const sessionId = url.searchParams.get("sessionId") || "";
+    const session = sessions.get(sessionId);
+    if (!session || session.kind !== "sse") {
+      sendJsonRpcError(res, 404, -32001, "Session not found");
+      return;
+    }
+    const body = await readJsonBody(req);
+    await touch(session).transport.handlePostMessage(req, res, body);
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url || "/", "http://localhost");
+
+    const rejected = checkRequestOrigin(req, originOptions);
+    if (rejected) {
+      sendJson(res, 403, { error: `Forbidden: ${rejected}` });
+      return;
+    }
+
+    if (url.pathname === HEALTH_PATH && req.method === "GET") {
+      sendJson(res, 200, { ok: true, sessions: sessions.size });
+      return;
+    }
+
+    if (!isAuthorized(req, authTokens)) {
+      sendJson(res, 401, { error: "Unauthorized" }, { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    if (url.pathname === MCP_PATH && ["GET", "POST", "DELETE"].includes(req.method)) {
+      await handleStreamable(req, res);
+      return;
+    }
+    if (url.pathname === SSE_PATH && req.method === "GET") {
+      await handleSseStream(req, res);
+      return;
+    }
+    if (url.pathname === SSE_MESSAGES_PATH && req.method === "POST") {
+      await handleSseMessage(req, res, url);
+      return;
+    }
+    sendJson(res, 404, { error: "Not found" });
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      log(`${req.method} ${req.url} failed: ${String(err?.message || err)}`);
+      sendJsonRpcError(res, err?.status || 500, -32603, String(err?.message || err));
+    });
+  });
+
+  // 客户端异常断开时 Streamable HTTP 会话不会收到 DELETE，定期回收空闲会话，释放禅道客户端
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.kind === "streamable" && now - session.lastSeen > sessionIdleMs) {
+        closeSession(id, "idle timeout");
+      }
+    }
+  }, Math.max(1000, Math.min(sessionIdleMs, 60 * 1000)));
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const boundPort = typeof address === "object" && address ? address.port : port;
+  log(
+    `listening on http://${host.includes(":") ? `[${host}]` : host}:${boundPort} ` +
+      `(streamable: ${MCP_PATH}, sse: ${SSE_PATH}, auth: ${authTokens.length > 0 ? "on" : "off"})`
+  );
+
+  async function close() {
+    clearInterval(sweeper);
+    await Promise.all([...sessions.keys()].map((id) => closeSession(id, "server shutdown")));
+    await new Promise((resolve) => httpServer.close(() => resolve()));
+  }
+
+  return { httpServer, port: boundPort, sessions, close };
+}
@@ -1,24 +1,72 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
+  BUG_QUERY_FILTER_KEYS,
   TOOLS,
+  WRITE_TOOL_NAMES,
   assertToolArgs,
+  toMcpMediaResult,
   toMcpTextResult,
 } from "./tools.js";
 import { createZenTaoClient } from "./zentao.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { RESOURCE_TEMPLATES, listResources, readResource } from "./resources.js";
+import { PROMPTS, getPrompt } from "./prompts.js";
+import { startHttpServer } from "./http.js";
+import { describeConfig, instanceEnvName, loadConfig } from "./config.js";
+import { createToolPolicy } from "./policy.js";
+import { createAuditLog } from "./audit.js";
+import { formatToolOutput } from "./format.js";
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
 
 const KNOWN_TOOL_NAMES = new Set([
+  "list_instances",
+  "get_audit_log",
   "get_token",
   "call",
+  "describe_instance",
   "list_my_projects",
   "get_my_bugs",
+  "search_bugs",
   "get_bug_detail",
+  "get_bug_attachment",
+  "get_bug_history",
+  "attach_file_to_bug",
+  "create_bug",
   "resolve_bug",
   "batch_resolve_my_bugs",
   "close_bug",
+  "assign_bug",
+  "edit_bug",
   "verify_bug",
   "comment_bug",
+  "undo_last_action",
+  "undo_action",
+  "list_my_stories",
+  "get_story_detail",
+  "create_story",
+  "change_story",
+  "review_story",
+  "close_story",
+  "list_my_tasks",
+  "get_task_detail",
+  "start_task",
+  "pause_task",
+  "finish_task",
+  "activate_task",
+  "record_task_effort",
+  "list_test_cases",
+  "get_test_case",
+  "list_test_tasks",
+  "list_test_runs",
+  "record_test_result",
 ]);
 
 function normalizeToolName(rawName) {
@@ -36,184 +84,668 @@ function normalizeToolName(rawName) {
   return rawName;
 }
 
-function requireEnv(name) {
-  const value = process.env[name];
-  if (!value) throw new Error(`Missing required env: ${name}`);
-  return value;
+// 每个实例一个独立的 createZenTaoClient：Token 缓存、候选路径回退状态都在各自闭包内，互不影响
+function createInstanceRegistry({ defaultInstance, configs, auditLog }) {
+  const entries = new Map();
+  for (const [name, config] of configs) entries.set(name, { config, zentao: createZenTaoClient({ ...config, auditLog }) });
+
+  return {
+    defaultInstance,
+    get(instance) {
+      const name = String(instance || defaultInstance).trim().toLowerCase();
+      const entry = entries.get(name);
+      if (!entry) {
+        throw new Error(`Unknown ZenTao instance: ${instance} (available: ${[...entries.keys()].join(", ")})`);
+      }
+      if (!entry.config.auth.account || !entry.config.auth.password) {
+        const envHint = `${instanceEnvName(name, "ACCOUNT")}/${instanceEnvName(name, "PASSWORD")}`;
+        throw Object.assign(
+          new Error(`No ZenTao credentials for instance "${name}": set ${envHint} or send them as session headers`),
+          { status: 401 }
+        );
+      }
+      return entry;
+    },
+    // 本会话可查看的审计记录范围：各实例当前使用的账号
+    auditScopes() {
+      return [...entries.values()]
+        .filter(({ config }) => config.auth.account)
+        .map(({ config }) => ({ instance: config.instance, account: config.auth.account }));
+    },
+    list() {
+      return [...entries.values()].map(({ config }) => ({
+        name: config.instance,
+        default: config.instance === defaultInstance,
+        baseUrl: config.baseUrl,
+        apiPrefix: config.apiPrefix,
+        account: config.auth.account || null,
+        defaultProductId: config.defaultProductId,
+        defaultProjectSetId: config.defaultProjectSetId,
+      }));
+    },
+  };
 }
 
-function getConfigFromEnv() {
-  const baseUrl = requireEnv("ZENTAO_BASE_URL").replace(/\/+$/, "");
-  const apiPrefix = (process.env.ZENTAO_API_PREFIX || "/api.php/v1").replace(/\/+$/, "");
-  const tokenPath = process.env.ZENTAO_TOKEN_PATH || `${apiPrefix}/tokens`;
-  const tokenTtlMs = Number(process.env.ZENTAO_TOKEN_TTL_MS || "3000000");
-  const timeoutMs = Number(process.env.ZENTAO_HTTP_TIMEOUT_MS || "30000");
-  const exposeToken = String(process.env.ZENTAO_EXPOSE_TOKEN || "false").toLowerCase() === "true";
-  const defaultProductId = Number(process.env.ZENTAO_PRODUCT_ID || "0") || null;
-  const defaultProjectSetId = Number(process.env.ZENTAO_PROJECT_SET_ID || "0") || null;
-  const myBugsPath = String(process.env.ZENTAO_MY_BUGS_PATH || "").trim();
-  const bugsFallbackPaths = String(process.env.ZENTAO_BUGS_FALLBACK_PATHS || "")
-    .split(",")
-    .map((value) => value.trim())
-    .filter(Boolean);
-  const projectSetBugsPaths = String(process.env.ZENTAO_PROJECT_SET_BUGS_PATHS || "")
-    .split(",")
-    .map((value) => value.trim())
-    .filter(Boolean);
-
-  const account = requireEnv("ZENTAO_ACCOUNT");
-  const password = requireEnv("ZENTAO_PASSWORD");
+function parseCliArgs(argv) {
+  const options = { command: "serve" };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (i === 0 && arg === "check-config") {
+      options.command = "check-config";
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    const flag = eq >= 0 ? arg.slice(0, eq) : arg;
+    const readValue = () => {
+      if (eq >= 0) return arg.slice(eq + 1);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith("--")) throw new Error(`Missing value for ${flag}`);
+      i += 1;
+      return next;
+    };
 
-  return {
-    baseUrl,
-    apiPrefix,
-    tokenPath,
-    tokenTtlMs,
-    timeoutMs,
-    exposeToken,
-    defaultProductId,
-    defaultProjectSetId,
-    myBugsPath,
-    bugsFallbackPaths,
-    projectSetBugsPaths,
-    auth: { account, password },
+    if (flag === "--http") options.transport = "http";
+    else if (flag === "--stdio") options.transport = "stdio";
+    else if (flag === "--transport") options.transport = readValue();
+    else if (flag === "--host") options.host = readValue();
+    else if (flag === "--port") options.port = readValue();
+    else if (flag === "--config") options.config = readValue();
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+}
+
+// 共享部署时每个开发者用自己的禅道账号：初始化会话时可通过请求头覆盖各实例的默认账号
+// 默认实例用 X-ZenTao-Account / X-ZenTao-Password，命名实例用 X-ZenTao-<Name>-Account / X-ZenTao-<Name>-Password
+function getSessionInstanceConfigs(instanceConfigs, req, { allowSessionCredentials }) {
+  const header = (name) => {
+    const value = req.headers[name];
+    return String(Array.isArray(value) ? value[0] : value || "").trim();
   };
+  const configs = new Map();
+  for (const [name, config] of instanceConfigs.configs) {
+    const prefix = name === instanceConfigs.defaultInstance ? "x-zentao-" : `x-zentao-${name}-`;
+    const account = allowSessionCredentials ? header(`${prefix}account`) : "";
+    const password = allowSessionCredentials ? header(`${prefix}password`) : "";
+    if (!account && !password) {
+      configs.set(name, config);
+      continue;
+    }
+    if (!account || !password) {
+      throw Object.assign(new Error(`${prefix}account and ${prefix}password headers must be sent together`), { status: 400 });
+    }
+    configs.set(name, { ...config, auth: { account, password } });
+  }
+  return { defaultInstance: instanceConfigs.defaultInstance, configs };
 }
 
-async function main() {
-  const config = getConfigFromEnv();
-  const zentao = createZenTaoClient(config);
+// 从工具参数中挑出 bug 查询条件，原样交给 getMyBugs/searchBugs
+function pickBugQueryFilters(args) {
+  const filters = {};
+  for (const key of BUG_QUERY_FILTER_KEYS) {
+    if (args[key] !== undefined) filters[key] = args[key];
+  }
+  return filters;
+}
+
+// 请求带 progressToken 时返回进度回调，把批量进度转成 notifications/progress
+function createProgressReporter(req, extra) {
+  const progressToken = req.params?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+  return ({ completed, total, message }) =>
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress: completed, total, message },
+    });
+}
+
+// 列表/详情工具按 format/fields/maxChars 渲染，未指定时使用服务端 output 默认值
+function renderToolOutput(resp, args, output) {
+  return formatToolOutput(resp, {
+    format: args.format || output.format,
+    fields: args.fields,
+    maxChars: args.maxChars ?? output.maxChars,
+  });
+}
+
+async function dispatchTool({ toolName, rawToolName, args, config, output, zentao, req, extra }) {
+  if (toolName === "get_token") {
+    const force = Boolean(args.force);
+    const result = await zentao.getToken({ force });
+    const output = config.exposeToken
+      ? result
+      : {
+          ...result,
+          token: result.token ? `${result.token.slice(0, 6)}…${result.token.slice(-4)}` : "",
+        };
+    return toMcpTextResult(JSON.stringify(output, null, 2));
+  }
+
+  if (toolName === "call") {
+    const { path, method, query, body, retrySafe } = args;
+    const resp = await zentao.call({ path, method, query, body, retrySafe: Boolean(retrySafe) });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "describe_instance") {
+    const resp = await zentao.describeInstance({ refresh: Boolean(args.refresh) });
+    return toMcpTextResult(JSON.stringify({ instance: config.instance, ...resp }, null, 2));
+  }
+
+  if (toolName === "list_my_projects") {
+    const resp = await zentao.listMyProjects({ keyword: args.keyword || "", includeRaw: Boolean(args.includeRaw) });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "get_my_bugs") {
+    const resp = await zentao.getMyBugs({
+      status: args.status || "",
+      keyword: args.keyword || "",
+      limit: args.limit,
+      page: args.page,
+      productId: args.productId,
+      projectSetId: args.projectSetId,
+      path: args.path || "/bugs",
+      assignedTo: args.assignedTo || "",
+      all: Boolean(args.all),
+      maxItems: args.maxItems,
+      includeRaw: Boolean(args.includeRaw),
+      ...pickBugQueryFilters(args),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "search_bugs") {
+    const resp = await zentao.searchBugs({
+      status: args.status || "",
+      keyword: args.keyword || "",
+      assignedTo: args.assignedTo || "",
+      limit: args.limit,
+      page: args.page,
+      productId: args.productId,
+      projectSetId: args.projectSetId,
+      path: args.path || "/bugs",
+      all: Boolean(args.all),
+      maxItems: args.maxItems,
+      includeRaw: Boolean(args.includeRaw),
+      ...pickBugQueryFilters(args),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "get_bug_detail") {
+    const resp = await zentao.getBugDetail({
+      id: args.id,
+      path: args.path || "/bugs/{id}",
+      includeImages: Boolean(args.includeImages),
+      includeFiles: Boolean(args.includeFiles),
+      maxBytes: args.maxBytes,
+      maxTotalBytes: args.maxTotalBytes,
+      maxItems: args.maxItems,
+      includeRaw: Boolean(args.includeRaw),
+    });
+    if (resp.media) return toMcpMediaResult(resp, { render: (summary) => renderToolOutput(summary, args, output) });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "get_bug_attachment") {
+    const resp = await zentao.getBugAttachment({
+      id: args.id,
+      fileId: args.fileId,
+      url: args.url || "",
+      maxBytes: args.maxBytes,
+      path: args.path || "/bugs/{id}",
+    });
+    return toMcpMediaResult(resp);
+  }
+
+  if (toolName === "get_bug_history") {
+    const resp = await zentao.getBugHistory({
+      id: args.id,
+      actions: args.actions || [],
+      path: args.path || "/bugs/{id}",
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "attach_file_to_bug") {
+    const resp = await zentao.attachFileToBug({
+      id: args.id,
+      filePath: args.filePath || "",
+      files: args.files || [],
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "create_bug") {
+    const resp = await zentao.createBug({
+      productId: args.productId,
+      moduleId: args.moduleId,
+      openedBuild: args.openedBuild,
+      title: args.title,
+      steps: args.steps || "",
+      severity: args.severity ?? 3,
+      pri: args.pri ?? 3,
+      type: args.type || "codeerror",
+      assignedTo: args.assignedTo || "",
+      keywords: args.keywords || "",
+      path: args.path || "/products/{productId}/bugs",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "resolve_bug") {
+    const resp = await zentao.resolveBug({
+      id: args.id,
+      resolution: args.resolution || "fixed",
+      solution: args.solution || "",
+      comment: args.comment || "",
+      path: args.path || "/bugs/{id}/resolve",
+      files: args.files || [],
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "batch_resolve_my_bugs") {
+    const resp = await zentao.batchResolveMyBugs({
+      status: args.status || "active",
+      keyword: args.keyword || "",
+      limit: args.limit,
+      page: args.page,
+      productId: args.productId,
+      projectSetId: args.projectSetId,
+      maxItems: args.maxItems,
+      assignedTo: args.assignedTo || "",
+      resolution: args.resolution || "fixed",
+      solution: args.solution || "",
+      comment: args.comment || "",
+      listPath: args.listPath || "/bugs",
+      resolvePath: args.resolvePath || "/bugs/{id}/resolve",
+      stopOnError: Boolean(args.stopOnError),
+      signal: extra.signal,
+      onProgress: createProgressReporter(req, extra),
+    });
+    if (resp.cancelled) {
+      // 取消后 SDK 不再回传结果，部分执行报告只能留在服务端日志里
+      process.stderr.write(
+        `batch_resolve_my_bugs cancelled: resolved ${resp.resolved}, failed ${resp.failed}, skipped ${resp.skipped}\n`
+      );
+    }
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "close_bug") {
+    const resp = await zentao.closeBug({
+      id: args.id,
+      comment: args.comment || "",
+      path: args.path || "/bugs/{id}/close",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "undo_last_action") {
+    const resp = await zentao.undoLastAction({ comment: args.comment || "", force: Boolean(args.force) });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "undo_action") {
+    const resp = await zentao.undoAction({ id: args.id, comment: args.comment || "", force: Boolean(args.force) });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "assign_bug") {
+    const resp = await zentao.assignBug({
+      id: args.id,
+      assignedTo: args.assignedTo,
+      comment: args.comment || "",
+      path: args.path || "/bugs/{id}/assign",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "edit_bug") {
+    const resp = await zentao.editBug({
+      id: args.id,
+      fields: args.fields || {},
+      comment: args.comment || "",
+      path: args.path || "/bugs/{id}",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "verify_bug") {
+    const resp = await zentao.verifyBug({
+      id: args.id,
+      result: args.result || "pass",
+      comment: args.comment || "",
+      closePath: args.closePath || "/bugs/{id}/close",
+      activatePath: args.activatePath || "/bugs/{id}/activate",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "comment_bug") {
+    const resp = await zentao.commentBug({
+      id: args.id,
+      comment: args.comment || "",
+      path: args.path || "/bugs/{id}/comment",
+      files: args.files || [],
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "list_my_stories") {
+    const resp = await zentao.getMyStories({
+      status: args.status || "",
+      stage: args.stage || "",
+      keyword: args.keyword || "",
+      limit: args.limit,
+      page: args.page,
+      productId: args.productId,
+      projectId: args.projectId,
+      path: args.path || "",
+      assignedTo: args.assignedTo || "",
+      includeRaw: Boolean(args.includeRaw),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "get_story_detail") {
+    const resp = await zentao.getStoryDetail({
+      id: args.id,
+      path: args.path || "/stories/{id}",
+      includeRaw: Boolean(args.includeRaw),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "create_story") {
+    const resp = await zentao.createStory({
+      productId: args.productId,
+      title: args.title,
+      spec: args.spec || "",
+      verify: args.verify || "",
+      reviewer: args.reviewer || [],
+      pri: args.pri ?? 3,
+      category: args.category || "feature",
+      estimate: args.estimate,
+      moduleId: args.moduleId,
+      planId: args.planId,
+      source: args.source || "",
+      assignedTo: args.assignedTo || "",
+      keywords: args.keywords || "",
+      path: args.path || "/products/{productId}/stories",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "change_story") {
+    const resp = await zentao.changeStory({
+      id: args.id,
+      title: args.title,
+      spec: args.spec,
+      verify: args.verify,
+      comment: args.comment || "",
+      path: args.path || "/stories/{id}/change",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "review_story") {
+    const resp = await zentao.reviewStory({
+      id: args.id,
+      result: args.result || "pass",
+      closedReason: args.closedReason || "",
+      comment: args.comment || "",
+      pri: args.pri,
+      estimate: args.estimate,
+      path: args.path || "/stories/{id}/review",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "close_story") {
+    const resp = await zentao.closeStory({
+      id: args.id,
+      closedReason: args.closedReason || "done",
+      duplicateStory: args.duplicateStory,
+      comment: args.comment || "",
+      path: args.path || "/stories/{id}/close",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "list_my_tasks") {
+    const resp = await zentao.getMyTasks({
+      status: args.status || "",
+      keyword: args.keyword || "",
+      limit: args.limit,
+      page: args.page,
+      executionId: args.executionId,
+      projectId: args.projectId,
+      path: args.path || "",
+      assignedTo: args.assignedTo || "",
+      includeRaw: Boolean(args.includeRaw),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
 
+  if (toolName === "get_task_detail") {
+    const resp = await zentao.getTaskDetail({
+      id: args.id,
+      path: args.path || "/tasks/{id}",
+      includeRaw: Boolean(args.includeRaw),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "start_task") {
+    const resp = await zentao.startTask({
+      id: args.id,
+      consumed: args.consumed,
+      left: args.left,
+      assignedTo: args.assignedTo || "",
+      comment: args.comment || "",
+      path: args.path || "/tasks/{id}/start",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "pause_task") {
+    const resp = await zentao.pauseTask({
+      id: args.id,
+      comment: args.comment || "",
+      path: args.path || "/tasks/{id}/pause",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "finish_task") {
+    const resp = await zentao.finishTask({
+      id: args.id,
+      consumed: args.consumed,
+      assignedTo: args.assignedTo || "",
+      comment: args.comment || "",
+      path: args.path || "/tasks/{id}/finish",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "activate_task") {
+    const resp = await zentao.activateTask({
+      id: args.id,
+      left: args.left,
+      assignedTo: args.assignedTo || "",
+      comment: args.comment || "",
+      path: args.path || "/tasks/{id}/activate",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "record_task_effort") {
+    const resp = await zentao.recordTaskEffort({
+      id: args.id,
+      consumed: args.consumed,
+      left: args.left,
+      date: args.date || "",
+      work: args.work || "",
+      path: args.path || "/tasks/{id}/estimate",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  if (toolName === "list_test_cases") {
+    const resp = await zentao.listTestCases({
+      productId: args.productId,
+      moduleId: args.moduleId,
+      suiteId: args.suiteId,
+      status: args.status || "",
+      keyword: args.keyword || "",
+      limit: args.limit,
+      page: args.page,
+      path: args.path || "",
+      includeRaw: Boolean(args.includeRaw),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "get_test_case") {
+    const resp = await zentao.getTestCase({
+      id: args.id,
+      path: args.path || "/testcases/{id}",
+      includeRaw: Boolean(args.includeRaw),
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "list_test_tasks") {
+    const resp = await zentao.listTestTasks({
+      productId: args.productId,
+      projectId: args.projectId,
+      executionId: args.executionId,
+      status: args.status || "",
+      keyword: args.keyword || "",
+      limit: args.limit,
+      page: args.page,
+      path: args.path || "",
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "list_test_runs") {
+    const resp = await zentao.listTestRuns({
+      testTaskId: args.testTaskId,
+      status: args.status || "",
+      path: args.path || "/testtasks/{id}",
+    });
+    return toMcpTextResult(renderToolOutput(resp, args, output));
+  }
+
+  if (toolName === "record_test_result") {
+    const resp = await zentao.recordTestResult({
+      caseId: args.caseId,
+      runId: args.runId,
+      testTaskId: args.testTaskId,
+      result: args.result || "",
+      steps: args.steps || [],
+      createBug: Boolean(args.createBug),
+      bug: args.bug || {},
+      path: args.path || "/testcases/{caseId}/results",
+      testTaskPath: args.testTaskPath || "/testtasks/{id}",
+    });
+    return toMcpTextResult(JSON.stringify(resp, null, 2));
+  }
+
+  throw new Error(`Unknown tool: ${rawToolName}`);
+}
+
+function createMcpServer({ instances, policy, auditLog, output }) {
   const server = new Server(
     { name: "zentao-mcp-server", version: "0.1.0" },
-    { capabilities: { tools: {} } }
+    { capabilities: { tools: {}, resources: {}, prompts: {} } }
   );
 
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: PROMPTS };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+    const { instance, ...args } = req.params?.arguments || {};
+    return getPrompt(instances.get(instance).zentao, req.params?.name, args);
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: await listResources(instances) };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+    return readResource(instances, req.params?.uri);
+  });
+
   server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return { tools: TOOLS };
+    return { tools: policy.filterTools(TOOLS) };
   });
 
-  server.setRequestHandler(CallToolRequestSchema, async (req) => {
+  server.setRequestHandler(CallToolRequestSchema, async (req, extra) => {
     const rawToolName = req.params?.name;
     const toolName = normalizeToolName(rawToolName);
     const args = req.params?.arguments || {};
 
     try {
+      // 与 ListTools 同一套策略：被隐藏的工具即使按名字调用也会被拒绝
+      policy.assertToolAllowed(toolName);
       assertToolArgs(toolName, args);
 
-      if (toolName === "get_token") {
-        const force = Boolean(args.force);
-        const result = await zentao.getToken({ force });
-        const output = config.exposeToken
-          ? result
-          : {
-              ...result,
-              token: result.token ? `${result.token.slice(0, 6)}…${result.token.slice(-4)}` : "",
-            };
-        return toMcpTextResult(JSON.stringify(output, null, 2));
-      }
-
-      if (toolName === "call") {
-        const { path, method, query, body } = args;
-        const resp = await zentao.call({ path, method, query, body });
+      if (toolName === "list_instances") {
+        const resp = { defaultInstance: instances.defaultInstance, instances: instances.list() };
         return toMcpTextResult(JSON.stringify(resp, null, 2));
       }
 
-      if (toolName === "list_my_projects") {
-        const resp = await zentao.listMyProjects({ keyword: args.keyword || "" });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
-      }
-
-      if (toolName === "get_my_bugs") {
-        const resp = await zentao.getMyBugs({
-          status: args.status || "",
-          keyword: args.keyword || "",
+      if (toolName === "get_audit_log") {
+        const resp = await auditLog.query({
+          tool: args.tool,
+          instance: args.instance,
+          account: args.account,
+          bugId: args.bugId,
+          method: args.method,
+          since: args.since,
+          until: args.until,
+          failedOnly: Boolean(args.failedOnly),
           limit: args.limit,
-          page: args.page,
-          productId: args.productId,
-          projectSetId: args.projectSetId,
-          path: args.path || "/bugs",
-          assignedTo: args.assignedTo || "",
-        });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
-      }
-
-      if (toolName === "get_bug_detail") {
-        const resp = await zentao.getBugDetail({
-          id: args.id,
-          path: args.path || "/bugs/{id}",
-        });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
-      }
-
-      if (toolName === "resolve_bug") {
-        const resp = await zentao.resolveBug({
-          id: args.id,
-          resolution: args.resolution || "fixed",
-          solution: args.solution || "",
-          comment: args.comment || "",
-          path: args.path || "/bugs/{id}/resolve",
-        });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
-      }
-
-      if (toolName === "batch_resolve_my_bugs") {
-        const resp = await zentao.batchResolveMyBugs({
-          status: args.status || "active",
-          keyword: args.keyword || "",
-          limit: args.limit,
-          page: args.page,
-          productId: args.productId,
-          projectSetId: args.projectSetId,
-          maxItems: args.maxItems,
-          assignedTo: args.assignedTo || "",
-          resolution: args.resolution || "fixed",
-          solution: args.solution || "",
-          comment: args.comment || "",
-          listPath: args.listPath || "/bugs",
-          resolvePath: args.resolvePath || "/bugs/{id}/resolve",
-          stopOnError: Boolean(args.stopOnError),
-        });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
-      }
-
-      if (toolName === "close_bug") {
-        const resp = await zentao.closeBug({
-          id: args.id,
-          comment: args.comment || "",
-          path: args.path || "/bugs/{id}/close",
-        });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
-      }
-
-      if (toolName === "verify_bug") {
-        const resp = await zentao.verifyBug({
-          id: args.id,
-          result: args.result || "pass",
-          comment: args.comment || "",
-          closePath: args.closePath || "/bugs/{id}/close",
-          activatePath: args.activatePath || "/bugs/{id}/activate",
+          // 审计日志由所有会话共用，只返回本会话各实例账号自己的写操作
+          scopes: instances.auditScopes(),
         });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
+        return toMcpTextResult(renderToolOutput(resp, args, output));
       }
 
-      if (toolName === "comment_bug") {
-        const resp = await zentao.commentBug({
-          id: args.id,
-          comment: args.comment || "",
-          path: args.path || "/bugs/{id}/comment",
-        });
-        return toMcpTextResult(JSON.stringify(resp, null, 2));
+      const { config, zentao } = instances.get(args.instance);
+      if (toolName === "call") {
+        policy.assertCallAllowed({ method: args.method, path: args.path, apiPrefix: config.apiPrefix });
       }
 
-      throw new Error(`Unknown tool: ${rawToolName}`);
+      // 审计日志通过该上下文把写请求关联到工具名与参数
+      return await auditLog.runWithContext({ tool: toolName, args }, async () => {
+        // 写操作预演：执行所有查询，但只记录写请求（方法/路径/请求体）而不发送
+        const dryRun = WRITE_TOOL_NAMES.has(toolName) && (args.dryRun ?? config.dryRun);
+        if (dryRun) {
+          const plan = await zentao.planWrites(() => dispatchTool({ toolName, rawToolName, args, config, output, zentao, req, extra }));
+          return toMcpTextResult(JSON.stringify({ tool: toolName, ...plan }, null, 2));
+        }
+        return dispatchTool({ toolName, rawToolName, args, config, output, zentao, req, extra });
+      });
     } catch (err) {
       const errorPayload = {
         ok: false,
         tool: rawToolName,
+        instance: args.instance || null,
         message: String(err?.message || err),
         status: err?.status ?? null,
         data: err?.data ?? null,
+        attempts: err?.attempts ?? null,
         hint: "If you see 'Need product id', set env ZENTAO_PRODUCT_ID or pass productId in get_my_bugs.",
         hint2: "For project-set instances, set ZENTAO_PROJECT_SET_ID or ZENTAO_MY_BUGS_PATH.",
       };
@@ -221,12 +753,58 @@ async function main() {
     }
   });
 
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  return server;
+}
+
+async function main() {
+  const cli = parseCliArgs(process.argv.slice(2));
+  const loaded = await loadConfig({ cli });
+
+  if (cli.command === "check-config") {
+    // 仅校验并打印生效配置（密钥打码），不连接禅道
+    process.stdout.write(`${JSON.stringify(describeConfig(loaded), null, 2)}\n`);
+    return;
+  }
+
+  const instanceConfigs = { defaultInstance: loaded.defaultInstance, configs: loaded.configs };
+  const policy = createToolPolicy(loaded.policy);
+  const auditLog = createAuditLog(loaded.audit);
+
+  if (loaded.transport === "stdio") {
+    const instances = createInstanceRegistry({ ...instanceConfigs, auditLog });
+    await createMcpServer({ instances, policy, auditLog, output: loaded.output }).connect(new StdioServerTransport());
+    return;
+  }
+
+  const httpOptions = loaded.http;
+  const { close } = await startHttpServer({
+    host: httpOptions.host,
+    port: httpOptions.port,
+    authTokens: httpOptions.authTokens,
+    sessionIdleMs: httpOptions.sessionIdleMs,
+    allowedHosts: httpOptions.allowedHosts,
+    allowedOrigins: httpOptions.allowedOrigins,
+    createSession: (req) => {
+      // 每个会话独立创建各实例的禅道客户端（Token 缓存、候选路径回退状态互不影响）
+      const instances = createInstanceRegistry({
+        ...getSessionInstanceConfigs(instanceConfigs, req, httpOptions),
+        auditLog,
+      });
+      // 默认实例没有账号时会话无法使用，初始化阶段直接返回 401
+      instances.get();
+      return createMcpServer({ instances, policy, auditLog, output: loaded.output });
+    },
+  });
+
+  const shutdown = () => {
+    close().finally(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
 }
 
 main().catch((err) => {
-  // stderr 方便客户端看到启动失败原因
-  process.stderr.write(String(err?.stack || err) + "\n");
+  // stderr 方便客户端看到启动失败原因；配置错误只输出问题列表，不带堆栈
+  process.stderr.write(String(err?.issues ? err.message : err?.stack || err) + "\n");
   process.exit(1);
 });
@@ -0,0 +1,277 @@
+// 禅道不同版本（18.x 旧接口 / 20.x REST v1）返回的字段拼写与结构不一致，
+// 这里统一映射为稳定的 Bug/Story/Project/User 对象，工具输出与下游逻辑只依赖这些字段。
+
+export function parseObjectListFromResponse(data, listKey) {
+  if (Array.isArray(data?.[listKey])) return data[listKey];
+  if (Array.isArray(data?.data?.[listKey])) return data.data[listKey];
+  if (Array.isArray(data?.data)) return data.data;
+  if (Array.isArray(data)) return data;
+  return [];
+}
+
+// 响应里是否有列表（可能为空）：区分“端点可用但没有数据”与“返回的不是列表”
+export function hasObjectList(data, listKey) {
+  return Array.isArray(data?.[listKey]) || Array.isArray(data?.data?.[listKey]) || Array.isArray(data?.data) || Array.isArray(data);
+}
+
+export function parseObjectDetailFromResponse(data, objectKey) {
+  if (data?.[objectKey] && typeof data[objectKey] === "object") return data[objectKey];
+  if (data?.data?.[objectKey] && typeof data.data[objectKey] === "object") return data.data[objectKey];
+  if (data?.data && typeof data.data === "object" && !Array.isArray(data.data)) return data.data;
+  if (data && typeof data === "object" && !Array.isArray(data)) return data;
+  return null;
+}
+
+export function getRecordId(record, objectKey) {
+  const id = Number(
+    record?.id ??
+    record?.[`${objectKey}Id`] ??
+    record?.[`${objectKey}ID`] ??
+    record?.[`${objectKey}_id`] ??
+    record?.[objectKey]?.id
+  );
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
+
+function pickAssignee(record) {
+  return (
+    record?.assignedTo ||
+    record?.assignedto ||
+    record?.assigned_to ||
+    record?.assignedUser ||
+    record?.owner ||
+    ""
+  );
+}
+
+// 指派人可能是账号字符串，也可能是 20.x 的 { id, account, realname, avatar }，统一返回账号
+export function getAssigneeAccount(record) {
+  const value = pickAssignee(record);
+  if (value && typeof value === "object") return String(value.account || "");
+  return String(value);
+}
+
+export function normalizeActor(value) {
+  if (!value) return { account: "", realname: "" };
+  if (typeof value === "object") {
+    return { account: String(value.account || ""), realname: String(value.realname || value.name || "") };
+  }
+  return { account: String(value), realname: "" };
+}
+
+// 禅道日期多为 "YYYY-MM-DD HH:mm:ss"（服务器本地时间），统一为 ISO 形式但不附加时区；
+// REST 接口返回的 "...Z" / "+08:00" 保留原时区后缀
+export function normalizeZenTaoDate(value) {
+  const text = String(value || "").trim();
+  if (!text || /^0000-00-00/.test(text)) return "";
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?/.exec(text);
+  if (!match) return text;
+  if (!match[2]) return match[1];
+  return `${match[1]}T${match[2].length === 5 ? `${match[2]}:00` : match[2]}${match[3] || ""}`;
+}
+
+function toText(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toDate(value) {
+  return normalizeZenTaoDate(value) || null;
+}
+
+// 空账号（未指派、未解决）为 null，便于区分“没有”与“未知实名”
+function toUser(value) {
+  const actor = normalizeActor(value);
+  return actor.account || actor.realname ? actor : null;
+}
+
+// 产品/模块/项目等关联对象：可能是 id、{ id, name } 或 0（未设置），名称可能在单独的 xxxName 字段
+function toRef(value, name) {
+  if (value && typeof value === "object") {
+    const id = toNumber(value.id);
+    return id ? { id, name: toText(value.name || value.title || name) } : null;
+  }
+  const id = toNumber(value);
+  return id ? { id, name: toText(name) } : null;
+}
+
+function toTextList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : typeof value === "object" ? Object.values(value) : String(value).split(",");
+  return items.map((item) => String(item ?? "").trim()).filter(Boolean);
+}
+
+function withRaw(model, raw, includeRaw) {
+  return includeRaw ? { ...model, raw } : model;
+}
+
+/**
+ * 归一化 bug：用户字段为 { account, realname }，日期为 ISO 字符串（空为 null），
+ * product/module/project/execution 为 { id, name }。steps 保留原始富文本，图片提取依赖其中的 <img>。
+ */
+export function normalizeBug(raw, { includeRaw = false } = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  return withRaw(
+    {
+      id: getRecordId(raw, "bug"),
+      title: toText(raw.title),
+      status: toText(raw.status),
+      severity: toNumber(raw.severity),
+      pri: toNumber(raw.pri),
+      type: toText(raw.type),
+      product: toRef(raw.product, raw.productName),
+      module: toRef(raw.module, raw.moduleName ?? raw.moduleTitle),
+      project: toRef(raw.project, raw.projectName),
+      execution: toRef(raw.execution, raw.executionName),
+      assignedTo: toUser(pickAssignee(raw)),
+      openedBy: toUser(raw.openedBy),
+      resolvedBy: toUser(raw.resolvedBy),
+      closedBy: toUser(raw.closedBy),
+      openedDate: toDate(raw.openedDate),
+      assignedDate: toDate(raw.assignedDate),
+      resolvedDate: toDate(raw.resolvedDate),
+      closedDate: toDate(raw.closedDate),
+      lastEditedDate: toDate(raw.lastEditedDate),
+      deadline: toDate(raw.deadline),
+      resolution: toText(raw.resolution),
+      openedBuild: toTextList(raw.openedBuild),
+      resolvedBuild: toText(raw.resolvedBuild),
+      keywords: toText(raw.keywords),
+      steps: toText(raw.steps),
+    },
+    raw,
+    includeRaw
+  );
+}
+
+/**
+ * 归一化需求：字段约定同 normalizeBug，spec/verify 保留原始富文本。
+ */
+export function normalizeStory(raw, { includeRaw = false } = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  return withRaw(
+    {
+      id: getRecordId(raw, "story"),
+      title: toText(raw.title),
+      status: toText(raw.status),
+      stage: toText(raw.stage),
+      pri: toNumber(raw.pri),
+      estimate: toNumber(raw.estimate),
+      category: toText(raw.category),
+      source: toText(raw.source),
+      version: toNumber(raw.version),
+      product: toRef(raw.product, raw.productName),
+      module: toRef(raw.module, raw.moduleName ?? raw.moduleTitle),
+      assignedTo: toUser(pickAssignee(raw)),
+      openedBy: toUser(raw.openedBy),
+      closedBy: toUser(raw.closedBy),
+      openedDate: toDate(raw.openedDate),
+      assignedDate: toDate(raw.assignedDate),
+      closedDate: toDate(raw.closedDate),
+      lastEditedDate: toDate(raw.lastEditedDate),
+      closedReason: toText(raw.closedReason),
+      keywords: toText(raw.keywords),
+      spec: toText(raw.spec),
+      verify: toText(raw.verify),
+    },
+    raw,
+    includeRaw
+  );
+}
+
+/**
+ * 归一化项目：负责人取 PM（旧版本为 pm），begin/end 为日期字符串，progress 为百分比数值。
+ */
+export function normalizeProject(raw, { includeRaw = false } = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  return withRaw(
+    {
+      id: getRecordId(raw, "project"),
+      name: toText(raw.name || raw.title),
+      code: toText(raw.code),
+      status: toText(raw.status),
+      model: toText(raw.model || raw.type),
+      parent: toRef(raw.parent, raw.parentName),
+      pm: toUser(raw.PM ?? raw.pm),
+      openedBy: toUser(raw.openedBy),
+      openedDate: toDate(raw.openedDate),
+      begin: toDate(raw.begin),
+      end: toDate(raw.end),
+      progress: toNumber(raw.progress),
+      desc: toText(raw.desc),
+    },
+    raw,
+    includeRaw
+  );
+}
+
+/**
+ * 归一化任务：工时 estimate/consumed/left 为数字（小时），story/execution/project 为 { id, name }。
+ */
+export function normalizeTask(raw, { includeRaw = false } = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  return withRaw(
+    {
+      id: getRecordId(raw, "task"),
+      name: toText(raw.name || raw.title),
+      status: toText(raw.status),
+      type: toText(raw.type),
+      pri: toNumber(raw.pri),
+      estimate: toNumber(raw.estimate),
+      consumed: toNumber(raw.consumed),
+      left: toNumber(raw.left),
+      project: toRef(raw.project, raw.projectName),
+      execution: toRef(raw.execution, raw.executionName),
+      module: toRef(raw.module, raw.moduleName ?? raw.moduleTitle),
+      story: toRef(raw.story, raw.storyTitle),
+      assignedTo: toUser(pickAssignee(raw)),
+      openedBy: toUser(raw.openedBy),
+      finishedBy: toUser(raw.finishedBy),
+      closedBy: toUser(raw.closedBy),
+      openedDate: toDate(raw.openedDate),
+      estStarted: toDate(raw.estStarted),
+      realStarted: toDate(raw.realStarted),
+      deadline: toDate(raw.deadline),
+      finishedDate: toDate(raw.finishedDate),
+      closedDate: toDate(raw.closedDate),
+      lastEditedDate: toDate(raw.lastEditedDate),
+      desc: toText(raw.desc),
+    },
+    raw,
+    includeRaw
+  );
+}
+
+/**
+ * 归一化测试用例：步骤单独由调用方归一（get_test_case 的 steps），precondition 保留原始富文本。
+ */
+export function normalizeTestCase(raw, { includeRaw = false } = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  return withRaw(
+    {
+      id: getRecordId(raw, "case"),
+      title: toText(raw.title),
+      status: toText(raw.status),
+      type: toText(raw.type),
+      pri: toNumber(raw.pri),
+      version: toNumber(raw.version),
+      product: toRef(raw.product, raw.productName),
+      module: toRef(raw.module, raw.moduleName ?? raw.moduleTitle),
+      story: toRef(raw.story, raw.storyTitle),
+      lastRunResult: toText(raw.lastRunResult),
+      lastRunDate: toDate(raw.lastRunDate),
+      openedBy: toUser(raw.openedBy),
+      openedDate: toDate(raw.openedDate),
+      lastEditedDate: toDate(raw.lastEditedDate),
+      keywords: toText(raw.keywords),
+      precondition: toText(raw.precondition),
+    },
+    raw,
+    includeRaw
+  );
+}
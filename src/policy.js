@@ -0,0 +1,96 @@
+import { WRITE_TOOL_NAMES } from "./tools.js";
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// 工具名模式：* 匹配任意字符，如 "*_story"、"list_*"
+export function compileToolPattern(pattern) {
+  return new RegExp(`^${String(pattern).split("*").map(escapeRegExp).join(".*")}$`);
+}
+
+// 路径模式：* 匹配单段（不含 /），** 匹配任意多段，如 "/bugs/*"、"/products/*/bugs"、"/my/**"
+export function compilePathPattern(pattern) {
+  const normalized = `/${String(pattern).trim().replace(/^\/+/, "")}`;
+  const source = normalized
+    .split("**")
+    .map((part) => part.split("*").map(escapeRegExp).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}/?$`);
+}
+
+// call 的 path 可能不带前导 /、带查询串、带 ..，统一解析成规范化的 pathname 再匹配
+function normalizeCallPath(path, apiPrefix) {
+  const text = String(path || "").trim();
+  if (/^https?:\/\//i.test(text)) {
+    const pathname = new URL(text).pathname;
+    return apiPrefix && pathname.startsWith(`${apiPrefix}/`) ? pathname.slice(apiPrefix.length) : pathname;
+  }
+  return new URL(text.replace(/^\/*/, "/"), "http://placeholder").pathname;
+}
+
+/**
+ * 服务端策略：只读开关、工具白/黑名单、call 的方法与路径白名单。
+ * ListTools 与 CallTool 使用同一套判断，被禁用的工具既不展示也不能调用。
+ */
+export function createToolPolicy({
+  readOnly = false,
+  allowedTools = [],
+  deniedTools = [],
+  callAllowedMethods = [],
+  callAllowedPaths = [],
+} = {}) {
+  const allowPatterns = allowedTools.map(compileToolPattern);
+  const denyPatterns = deniedTools.map(compileToolPattern);
+  const pathPatterns = callAllowedPaths.map(compilePathPattern);
+  const configuredMethods = callAllowedMethods.map((method) => method.toUpperCase());
+  const allowedMethods = readOnly
+    ? (configuredMethods.length > 0 ? configuredMethods : READ_ONLY_METHODS).filter((method) =>
+        READ_ONLY_METHODS.includes(method)
+      )
+    : configuredMethods;
+
+  function toolDenialReason(name) {
+    if (allowPatterns.length > 0 && !allowPatterns.some((pattern) => pattern.test(name))) {
+      return "not in the allowed tool list";
+    }
+    if (denyPatterns.some((pattern) => pattern.test(name))) return "in the denied tool list";
+    // 只读模式下 call 仍可用，但只能发读请求
+    if (readOnly && WRITE_TOOL_NAMES.has(name) && name !== "call") return "a write tool and the server is read-only";
+    return "";
+  }
+
+  function isToolAllowed(name) {
+    return !toolDenialReason(name);
+  }
+
+  function assertToolAllowed(name) {
+    const reason = toolDenialReason(name);
+    if (reason) throw new Error(`Tool ${name} is disabled by server policy (${reason})`);
+  }
+
+  function assertCallAllowed({ method = "GET", path, apiPrefix = "" }) {
+    const upperMethod = String(method || "GET").toUpperCase();
+    if (allowedMethods.length > 0 && !allowedMethods.includes(upperMethod)) {
+      throw new Error(
+        `call method ${upperMethod} is not allowed by server policy (allowed: ${allowedMethods.join(", ")})`
+      );
+    }
+    if (pathPatterns.length > 0) {
+      const normalizedPath = normalizeCallPath(path, apiPrefix);
+      if (!pathPatterns.some((pattern) => pattern.test(normalizedPath))) {
+        throw new Error(`call path ${normalizedPath} is not allowed by server policy`);
+      }
+    }
+  }
+
+  return {
+    readOnly,
+    isToolAllowed,
+    assertToolAllowed,
+    assertCallAllowed,
+    filterTools: (tools) => tools.filter((tool) => isToolAllowed(tool.name)),
+  };
+}
@@ -0,0 +1,235 @@
+import { stripHtml } from "./zentao.js";
+
+// 所有提示词都接受 instance 参数，按该实例拉取数据；不传时用默认实例
+const INSTANCE_ARGUMENT = {
+  name: "instance",
+  description: "Optional ZenTao instance name (see list_instances); default instance when omitted",
+  required: false,
+};
+
+export const PROMPTS = [
+  {
+    name: "triage_my_bugs",
+    description: "Triage my active bugs: group, prioritize and suggest next actions.",
+    arguments: [
+      { name: "status", description: "Bug status to triage, default active", required: false },
+      { name: "productId", description: "Optional product id", required: false },
+      { name: "limit", description: "Max bugs to include, default 50", required: false },
+      INSTANCE_ARGUMENT,
+    ],
+  },
+  {
+    name: "draft_resolution_note",
+    description: "Draft a resolution note (解决说明) for one bug.",
+    arguments: [
+      { name: "id", description: "Bug ID", required: true },
+      { name: "change", description: "Optional summary of the code change / fix", required: false },
+      INSTANCE_ARGUMENT,
+    ],
+  },
+  {
+    name: "verify_bug_against_build",
+    description: "Plan verification of one bug against a build, then pass or reopen it.",
+    arguments: [
+      { name: "id", description: "Bug ID", required: true },
+      { name: "build", description: "Build / version being verified", required: true },
+      INSTANCE_ARGUMENT,
+    ],
+  },
+  {
+    name: "daily_standup",
+    description: "Write today's standup from my ZenTao bugs and tasks.",
+    arguments: [{ name: "date", description: "YYYY-MM-DD, default today", required: false }, INSTANCE_ARGUMENT],
+  },
+];
+
+function truncateText(value, max) {
+  const text = String(value || "");
+  return text.length <= max ? text : `${text.slice(0, max)}…`;
+}
+
+function displayUser(value) {
+  if (value && typeof value === "object") return value.account || value.realname || "";
+  return String(value || "");
+}
+
+function summarizeBug(bug, { stepsMax = 300 } = {}) {
+  const summary = {
+    id: bug?.id,
+    title: bug?.title || "",
+    status: bug?.status || "",
+    severity: bug?.severity ?? null,
+    pri: bug?.pri ?? null,
+    type: bug?.type || "",
+    assignedTo: displayUser(bug?.assignedTo),
+    openedBy: displayUser(bug?.openedBy),
+    openedDate: bug?.openedDate || "",
+    deadline: bug?.deadline || "",
+    resolution: bug?.resolution || "",
+  };
+  if (stepsMax > 0) summary.steps = truncateText(stripHtml(bug?.steps), stepsMax);
+  return summary;
+}
+
+function summarizeTask(task) {
+  return {
+    id: task?.id,
+    name: task?.name || task?.title || "",
+    status: task?.status || "",
+    estimate: task?.estimate ?? null,
+    consumed: task?.consumed ?? null,
+    left: task?.left ?? null,
+    lastEditedDate: task?.lastEditedDate || "",
+  };
+}
+
+function formatToday() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function requirePromptId(args, name) {
+  const id = Number(args?.id);
+  if (!Number.isInteger(id) || id < 1) throw new Error(`${name}.id must be a positive integer`);
+  return id;
+}
+
+function userMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+function jsonBlock(value) {
+  return ["```json", JSON.stringify(value, null, 2), "```"].join("\n");
+}
+
+// 拉取数据失败时把错误写进提示词，让模型知道数据不完整，而不是整条 prompt 失败
+async function safeFetch(loader) {
+  try {
+    return { ok: true, value: await loader() };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+async function buildTriagePrompt(zentao, args) {
+  const status = String(args?.status || "active");
+  const limit = Math.max(1, Math.min(Number(args?.limit) || 50, 200));
+  const productId = Number(args?.productId) || undefined;
+  const result = await zentao.getMyBugs({ status, limit, productId });
+  const bugs = (result.bugs || []).map((bug) => summarizeBug(bug));
+  return {
+    description: `Triage ${bugs.length} ${status} bugs`,
+    messages: [
+      userMessage(
+        [
+          `以下是指派给我的 ${status} 状态 bug（共 ${result.matched} 个，列出 ${bugs.length} 个）。请帮我分诊：`,
+          "1. 按严重程度/优先级与影响面分组，指出需要今天处理的 bug；",
+          "2. 标出疑似重复、信息不足（需补充重现步骤）或应转派他人的 bug；",
+          "3. 为每个 bug 给出建议动作（修复/转派/补充信息/关闭），不要直接调用写操作工具，先给我确认。",
+          "",
+          jsonBlock(bugs),
+        ].join("\n")
+      ),
+    ],
+  };
+}
+
+async function buildResolutionNotePrompt(zentao, args) {
+  const id = requirePromptId(args, "draft_resolution_note");
+  const detail = await zentao.getBugDetail({ id });
+  if (!detail.found) throw new Error(`Bug ${id} not found`);
+  const history = await safeFetch(() => zentao.getBugHistory({ id }));
+  const change = String(args?.change || "").trim();
+  const lines = [
+    `请为 bug #${id} 起草一段解决说明（用于 resolve_bug 的 solution 字段），要求：`,
+    "- 说明根因、修改点和自测方式，控制在 3~5 句；",
+    "- 不编造代码细节，信息不足处用【待补充】标出；",
+    "- 最后给出建议的 resolution（如 fixed/bydesign/duplicate/external/notrepro/postponed/willnotfix）。",
+    "",
+    "bug 详情：",
+    jsonBlock(summarizeBug(detail.bug, { stepsMax: 2000 })),
+  ];
+  if (change) lines.push("", "本次修改概述：", change);
+  if (history.ok && history.value.timeline.length > 0) {
+    lines.push("", "处理记录：", jsonBlock(history.value.timeline.slice(-10)));
+  }
+  return { description: `Draft resolution note for bug #${id}`, messages: [userMessage(lines.join("\n"))] };
+}
+
+async function buildVerifyPrompt(zentao, args) {
+  const id = requirePromptId(args, "verify_bug_against_build");
+  const build = String(args?.build || "").trim();
+  if (!build) throw new Error("verify_bug_against_build.build is required");
+  const detail = await zentao.getBugDetail({ id });
+  if (!detail.found) throw new Error(`Bug ${id} not found`);
+  const lines = [
+    `请协助我在版本「${build}」上验证 bug #${id}：`,
+    "1. 根据重现步骤整理一份验证清单（含前置条件与期望结果）；",
+    "2. 等我反馈每一步的实际结果；",
+    `3. 全部通过时调用 verify_bug（result=pass），否则调用 verify_bug（result=fail），comment 中注明验证版本「${build}」与实际结果。`,
+    "",
+    "bug 详情：",
+    jsonBlock(summarizeBug(detail.bug, { stepsMax: 3000 })),
+  ];
+  if (detail.images.length > 0) {
+    lines.push("", `该 bug 含 ${detail.images.length} 张截图，可用 get_bug_detail（includeImages=true）查看。`);
+  }
+  return { description: `Verify bug #${id} against ${build}`, messages: [userMessage(lines.join("\n"))] };
+}
+
+async function buildStandupPrompt(zentao, args) {
+  const date = String(args?.date || "").trim() || formatToday();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error("daily_standup.date must be YYYY-MM-DD");
+  const [activeBugs, resolvedBugs, tasks] = await Promise.all([
+    safeFetch(() => zentao.getMyBugs({ status: "active", limit: 100 })),
+    // 指派给我的已解决 bug 多是别人解决后转给我验证的，当天我解决的要按解决人与解决日期查；
+    // resolvedBy 与排序随请求发给禅道，最多翻 2 页，不在提示词渲染时扫描整个产品
+    safeFetch(() =>
+      zentao.searchBugs({
+        resolvedBy: zentao.account,
+        resolvedSince: date,
+        resolvedUntil: date,
+        orderBy: "resolvedDate_desc",
+        limit: 50,
+        maxItems: 50,
+        maxPages: 2,
+      })
+    ),
+    safeFetch(() => zentao.getMyTasks({ limit: 100 })),
+  ]);
+  const sections = [
+    `请根据以下禅道数据写一份 ${date} 的站会汇报（昨天/今天完成了什么、接下来做什么、有什么阻塞），简洁分点：`,
+  ];
+  if (resolvedBugs.ok) {
+    const resolvedToday = resolvedBugs.value.bugs;
+    const partial = resolvedBugs.value.truncated ? "，只查了最近解决的部分 bug，可能不全" : "";
+    sections.push("", `当天我解决的 bug（${resolvedToday.length}${partial}）：`, jsonBlock(resolvedToday.map((bug) => summarizeBug(bug, { stepsMax: 0 }))));
+  } else {
+    sections.push("", `（已解决 bug 获取失败：${resolvedBugs.error}；按解决人查询需要产品范围，请配置 ZENTAO_PRODUCT_ID 或项目集 ZENTAO_PROJECT_SET_ID）`);
+  }
+  if (activeBugs.ok) {
+    sections.push("", `仍在处理的 bug（${activeBugs.value.matched}）：`, jsonBlock(activeBugs.value.bugs.map((bug) => summarizeBug(bug, { stepsMax: 0 }))));
+  } else {
+    sections.push("", `（激活 bug 获取失败：${activeBugs.error}）`);
+  }
+  if (tasks.ok) {
+    sections.push("", `我的任务（${tasks.value.matched}）：`, jsonBlock(tasks.value.tasks.map((task) => summarizeTask(task))));
+  } else {
+    sections.push("", `（任务获取失败：${tasks.error}）`);
+  }
+  return { description: `Standup for ${date}`, messages: [userMessage(sections.join("\n"))] };
+}
+
+const PROMPT_BUILDERS = {
+  triage_my_bugs: buildTriagePrompt,
+  draft_resolution_note: buildResolutionNotePrompt,
+  verify_bug_against_build: buildVerifyPrompt,
+  daily_standup: buildStandupPrompt,
+};
+
+export async function getPrompt(zentao, name, args = {}) {
+  const builder = PROMPT_BUILDERS[name];
+  if (!builder) throw new Error(`Unknown prompt: ${name}`);
+  return builder(zentao, args || {});
+}
@@ -0,0 +1,278 @@
+import { stripHtml } from "./zentao.js";
+
+const MARKDOWN = "text/markdown";
+const MY_BUGS_URI = "zentao://my/bugs";
+
+const DETAIL_TEMPLATES = [
+  {
+    uriTemplate: "zentao://bug/{id}",
+    name: "ZenTao bug",
+    description: "Bug detail rendered as Markdown (steps, images and attachments linked).",
+    mimeType: MARKDOWN,
+  },
+  {
+    uriTemplate: "zentao://story/{id}",
+    name: "ZenTao story",
+    description: "Story detail rendered as Markdown (spec, acceptance criteria, linked bugs/tasks).",
+    mimeType: MARKDOWN,
+  },
+  {
+    uriTemplate: "zentao://project/{id}",
+    name: "ZenTao project",
+    description: "Project summary rendered as Markdown.",
+    mimeType: MARKDOWN,
+  },
+];
+
+// 不带实例段的 URI 读默认实例；zentao://instance/{instance}/... 读指定实例
+export const RESOURCE_TEMPLATES = [
+  ...DETAIL_TEMPLATES,
+  ...DETAIL_TEMPLATES.map((template) => ({
+    ...template,
+    uriTemplate: template.uriTemplate.replace("zentao://", "zentao://instance/{instance}/"),
+    name: `${template.name} (instance)`,
+    description: `${template.description} Read from the named instance (see list_instances).`,
+  })),
+  {
+    uriTemplate: "zentao://instance/{instance}/my/bugs",
+    name: "My active bugs (instance)",
+    description: "Active bugs assigned to me on the named instance, as a Markdown table.",
+    mimeType: MARKDOWN,
+  },
+];
+
+function resourceUriBase(instance) {
+  return instance ? `zentao://instance/${encodeURIComponent(instance)}/` : "zentao://";
+}
+
+function parseResourceUri(uri) {
+  const match = /^zentao:\/\/instance\/([^/]+)\/(.+)$/i.exec(uri);
+  if (!match) return { instance: undefined, uri };
+  return { instance: decodeURIComponent(match[1]), uri: `zentao://${match[2]}` };
+}
+
+function displayUser(value) {
+  if (!value) return "-";
+  if (typeof value === "object") return value.realname || value.account || "-";
+  return String(value);
+}
+
+// 关联对象（产品/模块）为 { id, name }，没有名称时显示 id
+function displayRef(value) {
+  if (!value) return "-";
+  return value.name || `#${value.id}`;
+}
+
+function displayValue(value) {
+  if (value === undefined || value === null || value === "") return "-";
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "-";
+  if (typeof value === "object") return displayUser(value);
+  const text = String(value);
+  return /^0000-00-00/.test(text) ? "-" : text;
+}
+
+function escapeTableCell(value) {
+  return displayValue(value).replaceAll("|", "\\|").replace(/\s+/g, " ");
+}
+
+// 富文本转 Markdown 文本：图片保留为 Markdown 图片语法，其余标签去掉
+function richTextToMarkdown(value, resolveUrl = (url) => url) {
+  const withImages = String(value || "").replace(
+    /<img[^>]+src=["']([^"']+)["'][^>]*>/gi,
+    (_, src) => `![image](${resolveUrl(src) || src})`
+  );
+  return stripHtml(withImages) || "-";
+}
+
+function renderFields(rows) {
+  return rows.map(([label, value]) => `- **${label}**: ${displayValue(value)}`).join("\n");
+}
+
+function renderLinkedItems(title, items, uriPrefix) {
+  if (!items || items.length === 0) return [];
+  const lines = [`## ${title}`];
+  for (const item of items) {
+    const label = item.title ? `#${item.id} ${item.title}` : `#${item.id}`;
+    const status = item.status ? ` (${item.status})` : "";
+    lines.push(uriPrefix ? `- [${label}](${uriPrefix}${item.id})${status}` : `- ${label}${status}`);
+  }
+  return lines;
+}
+
+export function renderBugMarkdown(detail, { resolveUrl } = {}) {
+  const bug = detail.bug || {};
+  const lines = [
+    `# Bug #${detail.id}: ${bug.title || ""}`,
+    "",
+    renderFields([
+      ["Status", bug.status],
+      ["Severity", bug.severity],
+      ["Priority", bug.pri],
+      ["Type", bug.type],
+      ["Assigned to", displayUser(bug.assignedTo)],
+      ["Opened by", displayUser(bug.openedBy)],
+      ["Opened date", bug.openedDate],
+      ["Resolution", bug.resolution],
+      ["Deadline", bug.deadline],
+      ["Product", displayRef(bug.product)],
+      ["Module", displayRef(bug.module)],
+      ["Opened build", bug.openedBuild],
+    ]),
+    "",
+    "## Steps",
+    richTextToMarkdown(bug.steps, resolveUrl),
+  ];
+  if (detail.files && detail.files.length > 0) {
+    lines.push("", "## Attachments");
+    for (const file of detail.files) {
+      lines.push(`- [${file.title || `file #${file.id}`}](${file.url})${file.size ? ` (${file.size} bytes)` : ""}`);
+    }
+  }
+  if (detail.images && detail.images.length > 0) {
+    lines.push("", "## Images");
+    for (const url of detail.images) lines.push(`- ${url}`);
+    lines.push("", "_Images require the ZenTao Token; use get_bug_detail with includeImages=true to view them._");
+  }
+  return lines.join("\n");
+}
+
+export function renderStoryMarkdown(detail, { resolveUrl, uriBase = "zentao://" } = {}) {
+  const story = detail.story || {};
+  const lines = [
+    `# Story #${detail.id}: ${story.title || ""}`,
+    "",
+    renderFields([
+      ["Status", story.status],
+      ["Stage", story.stage],
+      ["Priority", story.pri],
+      ["Estimate", story.estimate],
+      ["Assigned to", displayUser(story.assignedTo)],
+      ["Opened by", displayUser(story.openedBy)],
+      ["Opened date", story.openedDate],
+      ["Product", displayRef(story.product)],
+      ["Module", displayRef(story.module)],
+    ]),
+    "",
+    "## Description",
+    richTextToMarkdown(story.spec, resolveUrl),
+    "",
+    "## Acceptance criteria",
+    richTextToMarkdown(story.verify, resolveUrl),
+  ];
+  const linked = detail.linked || {};
+  for (const block of [
+    renderLinkedItems("Linked bugs", linked.bugs, `${uriBase}bug/`),
+    renderLinkedItems("Tasks", linked.tasks, ""),
+    renderLinkedItems("Linked stories", linked.stories, `${uriBase}story/`),
+    renderLinkedItems("Test cases", linked.cases, ""),
+  ]) {
+    if (block.length > 0) lines.push("", ...block);
+  }
+  return lines.join("\n");
+}
+
+export function renderProjectMarkdown(detail) {
+  const project = detail.project || {};
+  return [
+    `# Project #${detail.id}: ${project.name || ""}`,
+    "",
+    renderFields([
+      ["Code", project.code],
+      ["Status", project.status],
+      ["Begin", project.begin],
+      ["End", project.end],
+      ["PM", displayUser(project.pm)],
+      ["Progress", project.progress !== null && project.progress !== undefined ? `${project.progress}%` : ""],
+    ]),
+    "",
+    "## Description",
+    richTextToMarkdown(project.desc),
+  ].join("\n");
+}
+
+export function renderBugListMarkdown(result, { uriBase = "zentao://" } = {}) {
+  const lines = [
+    `# My active bugs (${result.matched})`,
+    "",
+    "| ID | Title | Severity | Pri | Status |",
+    "| --- | --- | --- | --- | --- |",
+  ];
+  for (const bug of result.bugs || []) {
+    lines.push(
+      `| [${bug.id}](${uriBase}bug/${bug.id}) | ${escapeTableCell(bug.title)} | ${escapeTableCell(bug.severity)} | ${escapeTableCell(bug.pri)} | ${escapeTableCell(bug.status)} |`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * 默认实例列出我的激活 bug 及每个 bug；其他有账号的实例只列出各自的 my/bugs 入口，避免逐个实例拉列表。
+ */
+export async function listResources(instances) {
+  const { zentao } = instances.get();
+  const resources = [
+    {
+      uri: MY_BUGS_URI,
+      name: "My active bugs",
+      description: "Active bugs assigned to me, as a Markdown table.",
+      mimeType: MARKDOWN,
+    },
+  ];
+  for (const instance of instances.list()) {
+    if (instance.default || !instance.account) continue;
+    resources.push({
+      uri: `${resourceUriBase(instance.name)}my/bugs`,
+      name: `My active bugs (${instance.name})`,
+      description: `Active bugs assigned to me on instance ${instance.name}, as a Markdown table.`,
+      mimeType: MARKDOWN,
+    });
+  }
+  try {
+    const result = await zentao.getMyBugs({ status: "active", limit: 50 });
+    for (const bug of result.bugs || []) {
+      if (!bug?.id) continue;
+      resources.push({
+        uri: `zentao://bug/${bug.id}`,
+        name: `Bug #${bug.id}: ${bug.title || ""}`,
+        description: `severity ${displayValue(bug.severity)}, pri ${displayValue(bug.pri)}, ${displayValue(bug.status)}`,
+        mimeType: MARKDOWN,
+      });
+    }
+  } catch (err) {
+    // 列表失败不影响资源模板与按 id 读取，仅记录到 stderr
+    process.stderr.write(`resources/list: failed to load my bugs: ${String(err?.message || err)}\n`);
+  }
+  return resources;
+}
+
+export async function readResource(instances, uri) {
+  const parsed = parseResourceUri(String(uri || ""));
+  const { zentao } = instances.get(parsed.instance);
+  const text = await renderResource(zentao, parsed.uri, resourceUriBase(parsed.instance));
+  return { contents: [{ uri, mimeType: MARKDOWN, text }] };
+}
+
+async function renderResource(zentao, uri, uriBase) {
+  if (uri === MY_BUGS_URI) {
+    return renderBugListMarkdown(await zentao.getMyBugs({ status: "active", limit: 50 }), { uriBase });
+  }
+
+  const match = /^zentao:\/\/(bug|story|project)\/(\d+)$/i.exec(uri);
+  if (!match) throw new Error(`Unknown resource uri: ${uri}`);
+  const kind = match[1].toLowerCase();
+  const id = Number(match[2]);
+
+  if (kind === "bug") {
+    const detail = await zentao.getBugDetail({ id });
+    if (!detail.found) throw new Error(`Bug ${id} not found`);
+    return renderBugMarkdown(detail, { resolveUrl: zentao.resolveUrl });
+  }
+  if (kind === "story") {
+    const detail = await zentao.getStoryDetail({ id });
+    if (!detail.found) throw new Error(`Story ${id} not found`);
+    return renderStoryMarkdown(detail, { resolveUrl: zentao.resolveUrl, uriBase });
+  }
+  const detail = await zentao.getProjectDetail({ id });
+  if (!detail.found) throw new Error(`Project ${id} not found`);
+  return renderProjectMarkdown(detail);
+}
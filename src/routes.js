@@ -0,0 +1,144 @@
+import fs from "node:fs/promises";
+import nodePath from "node:path";
+
+// 这些状态码说明端点本身不存在/不支持该方法；401/403/5xx/网络错误不能说明端点不可用
+const UNSUPPORTED_STATUSES = new Set([404, 405, 501]);
+
+// 具体路径归一为模板，去掉查询串：/products/3/bugs → /products/{id}/bugs
+export function toRouteTemplate(path) {
+  return String(path || "")
+    .split("?")[0]
+    .replace(/\/\d+(?=\/|$)/g, "/{id}");
+}
+
+export function isUnsupportedStatus(status) {
+  return UNSUPPORTED_STATUSES.has(Number(status));
+}
+
+function emptyRoutes(version = null) {
+  return { version, probedAt: null, resources: {} };
+}
+
+/**
+ * 单个禅道实例的端点能力表：哪些列表端点可用、哪些查询参数生效。
+ * 来源有两种：describe_instance 的主动探测（probe），以及日常列表调用的结果（call）。
+ * 配置了 cacheFile 时按 baseUrl + 版本号落盘，禅道升级后版本号变化，旧记录自然不再命中。
+ */
+export function createRouteMap({ baseUrl, cacheFile = "" } = {}) {
+  let routes = emptyRoutes();
+  let loaded = false;
+  // 串行写文件，避免并发的列表调用交错覆盖
+  let writeChain = Promise.resolve();
+
+  const cacheKey = (version) => `${baseUrl}#${version || "unknown"}`;
+
+  // 不同工具的候选路径分开记录；漏传 resource 会把多个工具的结果混在同一条目下并落盘
+  function requireResource(resource, caller) {
+    if (typeof resource !== "string" || !resource) throw new Error(`routeMap.${caller} requires a resource name`);
+  }
+
+  function resourceEntry(resource) {
+    if (!routes.resources[resource]) routes.resources[resource] = { paths: {}, params: {} };
+    return routes.resources[resource];
+  }
+
+  async function readCacheFile() {
+    try {
+      const data = JSON.parse(await fs.readFile(cacheFile, "utf8"));
+      return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function save() {
+    if (!cacheFile) return writeChain;
+    const snapshot = JSON.parse(JSON.stringify(routes));
+    writeChain = writeChain
+      .then(async () => {
+        const entries = await readCacheFile();
+        entries[cacheKey(snapshot.version)] = snapshot;
+        await fs.mkdir(nodePath.dirname(cacheFile), { recursive: true, mode: 0o700 });
+        const tmpFile = `${cacheFile}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(entries, null, 2), { mode: 0o600 });
+        await fs.rename(tmpFile, cacheFile);
+      })
+      .catch((err) => {
+        process.stderr.write(`failed to write route cache ${cacheFile}: ${String(err?.message || err)}\n`);
+      });
+    return writeChain;
+  }
+
+  /**
+   * 按版本号载入缓存（每个进程只读一次文件）；版本与内存中的不同时丢弃内存记录。
+   */
+  async function load(version) {
+    if (routes.version !== version) routes = emptyRoutes(version);
+    if (loaded || !cacheFile) return;
+    loaded = true;
+    const entry = (await readCacheFile())[cacheKey(version)];
+    if (entry && typeof entry === "object" && entry.resources) {
+      routes = { version, probedAt: entry.probedAt || null, resources: entry.resources };
+    }
+  }
+
+  function lookup(resource, path) {
+    return routes.resources[resource]?.paths[toRouteTemplate(path)] || null;
+  }
+
+  /**
+   * 去掉已知不可用的候选路径；全部已知不可用时原样返回，避免能力表过期导致无路可走。
+   */
+  function filterCandidates(resource, candidatePaths) {
+    requireResource(resource, "filterCandidates");
+    const skipped = candidatePaths.filter((path) => lookup(resource, path)?.supported === false);
+    if (skipped.length === 0 || skipped.length === candidatePaths.length) return { paths: candidatePaths, skipped: [] };
+    return { paths: candidatePaths.filter((path) => !skipped.includes(path)), skipped };
+  }
+
+  /**
+   * 记录一次列表调用的结果。带 id 的路径（如 /products/3/bugs）404 可能只是该 id 不存在，
+   * 日常调用不据此标记整个模板不可用，只有主动探测才会。
+   */
+  function recordCall(resource, path, { status, error }) {
+    requireResource(resource, "recordCall");
+    const template = toRouteTemplate(path);
+    const previous = lookup(resource, path);
+    let supported = null;
+    if (!error) supported = true;
+    else if (isUnsupportedStatus(status) && !template.includes("{id}")) supported = false;
+    if (supported === null || previous?.supported === supported) return;
+    resourceEntry(resource).paths[template] = {
+      supported,
+      status: status ?? null,
+      ...(error ? { error: String(error).slice(0, 200) } : {}),
+      source: "call",
+      checkedAt: new Date().toISOString(),
+    };
+    save();
+  }
+
+  /**
+   * 用一次完整探测的结果替换能力表并落盘。
+   */
+  function replace({ version, resources }) {
+    routes = { version, probedAt: new Date().toISOString(), resources };
+    loaded = true;
+    return save();
+  }
+
+  function paramSupport(resource, path, param) {
+    const value = routes.resources[resource]?.params[toRouteTemplate(path)]?.[param];
+    return value === undefined ? null : value;
+  }
+
+  return {
+    cacheFile,
+    load,
+    filterCandidates,
+    recordCall,
+    replace,
+    paramSupport,
+    snapshot: () => JSON.parse(JSON.stringify(routes)),
+  };
+}
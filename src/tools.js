@@ -1,3 +1,5 @@
+import { OUTPUT_FORMATS } from "./format.js";
+
 export function toMcpTextResult(text, options = {}) {
   const { isError = false } = options;
   return {
@@ -8,7 +10,100 @@ export function toMcpTextResult(text, options = {}) {
   };
 }
 
+const MODEL_IMAGE_MIME_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+
+function isTextMimeType(mimeType) {
+  const value = String(mimeType || "").toLowerCase();
+  return (
+    value.startsWith("text/") ||
+    value === "application/json" ||
+    value === "application/xml" ||
+    value === "image/svg+xml"
+  );
+}
+
+function toMcpMediaBlock(item) {
+  if (MODEL_IMAGE_MIME_TYPES.has(item.mimeType)) {
+    return { type: "image", data: item.data, mimeType: item.mimeType };
+  }
+  if (isTextMimeType(item.mimeType)) {
+    return {
+      type: "resource",
+      resource: { uri: item.url, mimeType: item.mimeType, text: Buffer.from(item.data, "base64").toString("utf8") },
+    };
+  }
+  return { type: "resource", resource: { uri: item.url, mimeType: item.mimeType, blob: item.data } };
+}
+
+// 结果里的 media（base64）转为 MCP image/resource 内容块，文本部分只保留元数据
+export function toMcpMediaResult(payload, options = {}) {
+  const { render = (summary) => JSON.stringify(summary, null, 2), ...textOptions } = options;
+  const { media = [], ...rest } = payload || {};
+  const summary = {
+    ...rest,
+    media: media.map(({ data, ...meta }) => meta),
+  };
+  const result = toMcpTextResult(render(summary), textOptions);
+  result.content.push(...media.map((item) => toMcpMediaBlock(item)));
+  return result;
+}
+
+// get_my_bugs 与 search_bugs 共用的扩展筛选（assignedTo/status/product/order 下推服务端，其余本地过滤）
+const BUG_QUERY_FILTER_PROPERTIES = {
+  severityMin: { type: "number", minimum: 1, maximum: 4, description: "Minimum severity (1 = most severe)" },
+  severityMax: { type: "number", minimum: 1, maximum: 4, description: "Maximum severity" },
+  priMin: { type: "number", minimum: 1, maximum: 4, description: "Minimum priority (1 = highest)" },
+  priMax: { type: "number", minimum: 1, maximum: 4, description: "Maximum priority, e.g. priMax=2 for P1/P2" },
+  openedBy: { type: "string", description: "Reporter account" },
+  resolvedBy: { type: "string", description: "Resolver account" },
+  module: { type: ["number", "string"], description: "Module id, or module name substring when the list returns module names" },
+  build: { type: "string", description: "Build id/name in openedBuild or resolvedBuild" },
+  type: { type: "string", description: "Bug type(s), comma separated, e.g. codeerror,config" },
+  openedSince: { type: "string", description: "Opened on/after this date (YYYY-MM-DD or date-time, local time)" },
+  openedUntil: { type: "string", description: "Opened on/before this date (a date includes the whole day)" },
+  resolvedSince: { type: "string", description: "Resolved on/after this date" },
+  resolvedUntil: { type: "string", description: "Resolved on/before this date" },
+  deadlineSince: { type: "string", description: "Deadline on/after this date" },
+  deadlineUntil: { type: "string", description: "Deadline on/before this date" },
+  overdue: { type: "boolean", description: "Only unresolved bugs whose deadline has passed" },
+  orderBy: {
+    type: "string",
+    description: "Sort as <field>_asc|<field>_desc; field: id, pri, severity, openedDate, resolvedDate, deadline, lastEditedDate, status. Sent to the server; results are sorted locally within the fetched items only (orderPartial=true when more pages were left unfetched)",
+  },
+};
+
+export const BUG_QUERY_FILTER_KEYS = Object.keys(BUG_QUERY_FILTER_PROPERTIES);
+
 export const TOOLS = [
+  {
+    name: "list_instances",
+    description: "List configured ZenTao instances (profiles); pass one as `instance` to any other tool.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_audit_log",
+    description:
+      "List recent audit log entries (newest first) for write requests this session's ZenTao accounts sent: which tool/args, method/path, status and affected bug ids.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tool: { type: "string", description: "Only entries produced by this tool, e.g. close_bug" },
+        instance: { type: "string", minLength: 1, description: "Only entries for this ZenTao instance" },
+        account: { type: "string", description: "Only entries made with this ZenTao account" },
+        bugId: { type: "number", minimum: 1, description: "Only entries affecting this bug" },
+        method: { type: "string", description: "Only entries with this HTTP method, e.g. POST" },
+        since: { type: "string", description: "ISO date/time lower bound, e.g. 2024-05-01 or 2024-05-01T09:00:00Z" },
+        until: { type: "string", description: "ISO date/time upper bound" },
+        failedOnly: { type: "boolean", description: "Only requests that failed" },
+        limit: { type: "number", minimum: 1, maximum: 500, description: "Default 50, max 500" },
+      },
+      additionalProperties: false,
+    },
+  },
   {
     name: "get_token",
     description: "Get or refresh ZenTao API token (cached).",
@@ -28,11 +123,27 @@ export const TOOLS = [
         method: { type: "string", description: "GET/POST/PUT/DELETE..." },
         query: { type: "object", additionalProperties: true },
         body: {},
+        retrySafe: {
+          type: "boolean",
+          description: "Default false; allow retrying this non-GET request on transient failures (only if it is idempotent on the server)",
+        },
       },
       required: ["path"],
       additionalProperties: false,
     },
   },
+  {
+    name: "describe_instance",
+    description:
+      "Describe which bug/story/task/project list endpoints this ZenTao instance supports and whether they honour page/status/assignedTo/order. Probes once and caches the route map (in memory, and on disk when ZENTAO_ROUTE_CACHE_FILE is set); list tools then skip endpoints known to be unsupported.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        refresh: { type: "boolean", description: "Probe again instead of returning the cached route map, e.g. after a ZenTao upgrade" },
+      },
+      additionalProperties: false,
+    },
+  },
   {
     name: "list_my_projects",
     description: "List projects I participate in (heuristic filtering).",
@@ -44,18 +155,44 @@ export const TOOLS = [
   },
   {
     name: "get_my_bugs",
-    description: "List bugs assigned to me (supports status/keyword/limit/page filter).",
+    description:
+      "List bugs assigned to me (supports status/keyword/limit/page filter). Returns total from the ZenTao pager and truncated=true when more pages exist; use all/maxItems to walk every page.",
     inputSchema: {
       type: "object",
       properties: {
         status: { type: "string", description: "Optional status filter, e.g. active/resolved/closed" },
         keyword: { type: "string", description: "Optional keyword in title/steps/severity/pri" },
-        limit: { type: "number", minimum: 1, maximum: 200, description: "Default 20, max 200" },
-        page: { type: "number", minimum: 1, description: "Default 1" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "Page size, default 20 (100 with all/maxItems), max 200" },
+        page: { type: "number", minimum: 1, description: "Default 1 (first page to fetch with all/maxItems)" },
         productId: { type: "number", minimum: 1, description: "Optional product id (for instances requiring product scope)" },
         projectSetId: { type: "number", minimum: 1, description: "Optional project-set id (for project-set scope)" },
         path: { type: "string", description: "Optional bugs endpoint override, default /bugs" },
         assignedTo: { type: "string", description: "Optional assignee override, default current account" },
+        all: { type: "boolean", description: "Walk all pages (up to 5000 bugs), de-duplicated by id" },
+        maxItems: { type: "number", minimum: 1, maximum: 5000, description: "Walk pages until this many matching bugs are collected" },
+        ...BUG_QUERY_FILTER_PROPERTIES,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "search_bugs",
+    description:
+      "Search bugs of a product/project set regardless of assignee, with severity/pri ranges, people, module, build, type, date-range and overdue filters and orderBy. Walks pages and returns up to maxItems (default 100) matches.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        status: { type: "string", description: "Optional status filter, e.g. active/resolved/closed" },
+        keyword: { type: "string", description: "Optional keyword in title/steps/severity/pri" },
+        assignedTo: { type: "string", description: "Optional assignee account" },
+        productId: { type: "number", minimum: 1, description: "Product id, default ZENTAO_PRODUCT_ID" },
+        projectSetId: { type: "number", minimum: 1, description: "Optional project-set id (for project-set scope)" },
+        path: { type: "string", description: "Optional bugs endpoint override, default /bugs" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "Page size, default 100" },
+        page: { type: "number", minimum: 1, description: "First page to fetch, default 1" },
+        all: { type: "boolean", description: "Collect all matches (up to 5000) instead of maxItems" },
+        maxItems: { type: "number", minimum: 1, maximum: 5000, description: "Max matching bugs to return, default 100" },
+        ...BUG_QUERY_FILTER_PROPERTIES,
       },
       additionalProperties: false,
     },
@@ -68,11 +205,85 @@ export const TOOLS = [
       properties: {
         id: { type: "number", minimum: 1, description: "Bug ID" },
         path: { type: "string", description: "Optional detail endpoint template, default /bugs/{id}" },
+        includeImages: { type: "boolean", description: "Download bug images and return them as image content, default false; oversized images are skipped (listed in mediaSkipped), not downscaled" },
+        includeFiles: { type: "boolean", description: "Download all file attachments as image/resource content, default false" },
+        maxBytes: { type: "number", minimum: 1, description: "Per-file size cap in bytes; larger files are skipped, not resized" },
+        maxTotalBytes: { type: "number", minimum: 1, description: "Total download budget in bytes" },
+        maxItems: { type: "number", minimum: 1, maximum: 50, description: "Max downloaded items, default 10" },
       },
       required: ["id"],
       additionalProperties: false,
     },
   },
+  {
+    name: "get_bug_attachment",
+    description: "Download one bug attachment or image (by fileId or url) as image/resource content. Files over the size cap are skipped, not resized.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Bug ID" },
+        fileId: { type: "number", minimum: 1, description: "Attachment file id (from get_bug_detail files)" },
+        url: { type: "string", description: "Image or attachment URL (from get_bug_detail images/files)" },
+        maxBytes: { type: "number", minimum: 1, description: "Size cap in bytes; larger files are skipped, not resized" },
+        path: { type: "string", description: "Optional detail endpoint template, default /bugs/{id}" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_bug_history",
+    description: "Get a bug's action timeline (opened/edited/assigned/resolved/activated/commented...) with per-field changes.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Bug ID" },
+        actions: { type: "array", items: { type: "string" }, description: "Optional action filter, e.g. [\"resolved\",\"activated\"]" },
+        path: { type: "string", description: "Optional detail endpoint template, default /bugs/{id}" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "attach_file_to_bug",
+    description: "Upload local file(s) (logs, HAR, screenshots) as bug attachments.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Bug ID" },
+        filePath: { type: "string", description: "Local file path (within ZENTAO_UPLOAD_ALLOWED_DIRS)" },
+        files: { type: "array", items: { type: "string" }, description: "Additional local file paths" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "create_bug",
+    description: "Create a new bug in a product and return its detail. Fields the instance marks as required are checked before sending; missing ones are listed in the error.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        productId: { type: "number", minimum: 1, description: "Product id, default env ZENTAO_PRODUCT_ID" },
+        moduleId: { type: "number", minimum: 0, description: "Optional module id" },
+        openedBuild: {
+          anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+          description: "Affected build id(s), default trunk",
+        },
+        title: { type: "string", minLength: 1, description: "Bug title" },
+        steps: { type: "string", description: "Repro steps (HTML or plain text)" },
+        severity: { type: "number", minimum: 1, maximum: 4, description: "1-4, default 3" },
+        pri: { type: "number", minimum: 1, maximum: 4, description: "1-4, default 3" },
+        type: { type: "string", description: "Bug type, default codeerror" },
+        assignedTo: { type: "string", description: "Optional assignee account" },
+        keywords: { type: "string", description: "Optional keywords" },
+        path: { type: "string", description: "Optional create endpoint template, default /products/{productId}/bugs" },
+      },
+      required: ["title"],
+      additionalProperties: false,
+    },
+  },
   {
     name: "resolve_bug",
     description: "Resolve one bug by ID (default resolution=fixed).",
@@ -84,6 +295,7 @@ export const TOOLS = [
         solution: { type: "string", description: "Resolution description (preferred)" },
         comment: { type: "string", description: "Optional resolve comment" },
         path: { type: "string", description: "Optional resolve endpoint template, default /bugs/{id}/resolve" },
+        files: { type: "array", items: { type: "string" }, description: "Optional local file paths to attach (within ZENTAO_UPLOAD_ALLOWED_DIRS)" },
       },
       required: ["id"],
       additionalProperties: false,
@@ -91,13 +303,13 @@ export const TOOLS = [
   },
   {
     name: "batch_resolve_my_bugs",
-    description: "Batch resolve my bugs (default status=active, resolution=fixed).",
+    description: "Batch resolve my bugs concurrently (default status=active, resolution=fixed); reports progress and honours cancellation.",
     inputSchema: {
       type: "object",
       properties: {
         status: { type: "string", description: "Default active" },
         keyword: { type: "string", description: "Optional keyword filter before resolve" },
-        limit: { type: "number", minimum: 1, maximum: 200, description: "List page size, default 50" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "List page size, default 100; pages are walked until maxItems" },
         page: { type: "number", minimum: 1, description: "Default 1" },
         productId: { type: "number", minimum: 1, description: "Optional product id (for instances requiring product scope)" },
         projectSetId: { type: "number", minimum: 1, description: "Optional project-set id (for project-set scope)" },
@@ -127,6 +339,58 @@ export const TOOLS = [
       additionalProperties: false,
     },
   },
+  {
+    name: "assign_bug",
+    description: "Reassign one bug (no request is sent when the assignee is unchanged and no comment is given).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Bug ID" },
+        assignedTo: { type: "string", minLength: 1, description: "New assignee account" },
+        comment: { type: "string", description: "Optional assign comment" },
+        path: { type: "string", description: "Optional assign endpoint template, default /bugs/{id}/assign" },
+      },
+      required: ["id", "assignedTo"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "edit_bug",
+    description: "Edit bug fields; only fields that differ from the current bug are sent. Returns a before/after summary.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Bug ID" },
+        fields: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            severity: { type: "number", minimum: 1, maximum: 4 },
+            pri: { type: "number", minimum: 1, maximum: 4 },
+            type: { type: "string" },
+            module: { type: "number", minimum: 0 },
+            openedBuild: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] },
+            steps: { type: "string" },
+            keywords: { type: "string" },
+            deadline: { type: "string", description: "YYYY-MM-DD, empty to clear" },
+            assignedTo: { type: "string" },
+            os: { type: "string" },
+            browser: { type: "string" },
+            story: { type: "number", minimum: 0 },
+            task: { type: "number", minimum: 0 },
+            plan: { type: "number", minimum: 0 },
+            mailto: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] },
+          },
+          additionalProperties: false,
+          description: "Desired field values",
+        },
+        comment: { type: "string", description: "Optional edit comment" },
+        path: { type: "string", description: "Optional edit endpoint template, default /bugs/{id} (PUT)" },
+      },
+      required: ["id", "fields"],
+      additionalProperties: false,
+    },
+  },
   {
     name: "verify_bug",
     description: "Verify bug result: pass -> close, fail -> activate.",
@@ -152,19 +416,568 @@ export const TOOLS = [
         id: { type: "number", minimum: 1, description: "Bug ID" },
         comment: { type: "string", description: "Comment content" },
         path: { type: "string", description: "Optional comment endpoint template, default /bugs/{id}/comment" },
+        files: { type: "array", items: { type: "string" }, description: "Optional local file paths to attach (within ZENTAO_UPLOAD_ALLOWED_DIRS)" },
       },
       required: ["id", "comment"],
       additionalProperties: false,
     },
   },
+  {
+    name: "undo_last_action",
+    description:
+      "Undo the most recent resolve/close/activate made in this session: restore the bug's previous status, resolution and assignee with an explanatory comment.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        comment: { type: "string", description: "Optional reason appended to the undo comment" },
+        force: { type: "boolean", description: "Restore even if the bug was changed after the action, default false" },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "undo_action",
+    description: "Undo one resolve/close/activate by its undoId (returned by resolve_bug/close_bug/verify_bug/batch_resolve_my_bugs).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "undoId of the action" },
+        comment: { type: "string", description: "Optional reason appended to the undo comment" },
+        force: { type: "boolean", description: "Restore even if the bug was changed after the action, default false" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_my_stories",
+    description: "List stories (需求) assigned to me, or all stories of a product/project with assignedTo=all.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        status: { type: "string", description: "Optional status filter, e.g. draft/active/closed/changing/reviewing" },
+        stage: { type: "string", description: "Optional stage filter, e.g. wait/planned/developing/released" },
+        keyword: { type: "string", description: "Optional keyword in title/spec/verify/keywords" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "Default 20, max 200" },
+        page: { type: "number", minimum: 1, description: "Default 1" },
+        productId: { type: "number", minimum: 1, description: "Optional product id, default env ZENTAO_PRODUCT_ID" },
+        projectId: { type: "number", minimum: 1, description: "Optional project id (project-scoped stories)" },
+        path: { type: "string", description: "Optional stories endpoint template ({productId}/{projectId}/{account})" },
+        assignedTo: { type: "string", description: "Optional assignee override, default current account; all = no filter" },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_story_detail",
+    description: "Get story detail by ID, including linked bugs/tasks/stories/cases.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Story ID" },
+        path: { type: "string", description: "Optional detail endpoint template, default /stories/{id}" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "create_story",
+    description: "Create a new story in a product and return its detail.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        productId: { type: "number", minimum: 1, description: "Product id, default env ZENTAO_PRODUCT_ID" },
+        title: { type: "string", minLength: 1, description: "Story title" },
+        spec: { type: "string", description: "Story description" },
+        verify: { type: "string", description: "Acceptance criteria" },
+        reviewer: { type: "array", items: { type: "string" }, description: "Reviewer accounts" },
+        pri: { type: "number", minimum: 1, maximum: 4, description: "1-4, default 3" },
+        category: { type: "string", description: "Default feature" },
+        estimate: { type: "number", minimum: 0, description: "Estimate (hours/points)" },
+        moduleId: { type: "number", minimum: 0, description: "Optional module id" },
+        planId: { type: "number", minimum: 0, description: "Optional product plan id" },
+        source: { type: "string", description: "Optional source, e.g. customer/po/market" },
+        assignedTo: { type: "string", description: "Optional assignee account" },
+        keywords: { type: "string", description: "Optional keywords" },
+        path: { type: "string", description: "Optional create endpoint template, default /products/{productId}/stories" },
+      },
+      required: ["title"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "change_story",
+    description: "Change a story's title/spec/verify (creates a new story version).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Story ID" },
+        title: { type: "string", description: "New title" },
+        spec: { type: "string", description: "New description" },
+        verify: { type: "string", description: "New acceptance criteria" },
+        comment: { type: "string", description: "Optional change comment" },
+        path: { type: "string", description: "Optional change endpoint template, default /stories/{id}/change" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "review_story",
+    description: "Review a story: pass/clarify/reject/revert.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Story ID" },
+        result: { type: "string", description: "pass/clarify/reject/revert, default pass" },
+        closedReason: { type: "string", description: "Required when result=reject, e.g. willnotdo/duplicate/bydesign" },
+        comment: { type: "string", description: "Optional review comment" },
+        pri: { type: "number", minimum: 1, maximum: 4, description: "Optional new priority" },
+        estimate: { type: "number", minimum: 0, description: "Optional new estimate" },
+        path: { type: "string", description: "Optional review endpoint template, default /stories/{id}/review" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "close_story",
+    description: "Close one story by ID (default closedReason=done).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Story ID" },
+        closedReason: { type: "string", description: "done/subdivided/duplicate/postponed/willnotdo/cancel/bydesign, default done" },
+        duplicateStory: { type: "number", minimum: 1, description: "Required when closedReason=duplicate" },
+        comment: { type: "string", description: "Optional close comment" },
+        path: { type: "string", description: "Optional close endpoint template, default /stories/{id}/close" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_my_tasks",
+    description: "List tasks assigned to me (execution/project scoped or /my/task).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        status: { type: "string", description: "Optional status filter, e.g. wait/doing/done/pause/closed" },
+        keyword: { type: "string", description: "Optional keyword in name/desc/type" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "Default 20, max 200" },
+        page: { type: "number", minimum: 1, description: "Default 1" },
+        executionId: { type: "number", minimum: 1, description: "Optional execution (sprint) id" },
+        projectId: { type: "number", minimum: 1, description: "Optional project id" },
+        path: { type: "string", description: "Optional tasks endpoint template ({executionId}/{projectId}/{account})" },
+        assignedTo: { type: "string", description: "Optional assignee override, default current account" },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_task_detail",
+    description: "Get task detail by ID, including estimate/consumed/left hours.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Task ID" },
+        path: { type: "string", description: "Optional detail endpoint template, default /tasks/{id}" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "start_task",
+    description: "Start a task (optional consumed/left hours).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Task ID" },
+        consumed: { type: "number", minimum: 0, description: "Hours already consumed, default 0" },
+        left: { type: "number", minimum: 0, description: "Hours left" },
+        assignedTo: { type: "string", description: "Optional assignee account after the transition" },
+        comment: { type: "string", description: "Optional comment" },
+        path: { type: "string", description: "Optional start endpoint template, default /tasks/{id}/start" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "pause_task",
+    description: "Pause a task.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Task ID" },
+        comment: { type: "string", description: "Optional comment" },
+        path: { type: "string", description: "Optional pause endpoint template, default /tasks/{id}/pause" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "finish_task",
+    description: "Finish a task, recording the hours consumed in this session.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Task ID" },
+        consumed: { type: "number", exclusiveMinimum: 0, description: "Hours consumed in this session (required)" },
+        assignedTo: { type: "string", description: "Optional assignee account after the transition" },
+        comment: { type: "string", description: "Optional comment" },
+        path: { type: "string", description: "Optional finish endpoint template, default /tasks/{id}/finish" },
+      },
+      required: ["id", "consumed"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "activate_task",
+    description: "Activate (reopen) a task.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Task ID" },
+        left: { type: "number", minimum: 0, description: "Hours left" },
+        assignedTo: { type: "string", description: "Optional assignee account after the transition" },
+        comment: { type: "string", description: "Optional comment" },
+        path: { type: "string", description: "Optional activate endpoint template, default /tasks/{id}/activate" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "record_task_effort",
+    description: "Record effort on a task: consumed/left hours with date and work note.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Task ID" },
+        consumed: { type: "number", exclusiveMinimum: 0, description: "Hours consumed (required)" },
+        left: { type: "number", minimum: 0, description: "Hours left after this record (required)" },
+        date: { type: "string", description: "YYYY-MM-DD, default today" },
+        work: { type: "string", description: "Work note" },
+        path: { type: "string", description: "Optional estimate endpoint template, default /tasks/{id}/estimate" },
+      },
+      required: ["id", "consumed", "left"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_test_cases",
+    description: "List test cases by product/module/suite.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        productId: { type: "number", minimum: 1, description: "Product id, default env ZENTAO_PRODUCT_ID" },
+        moduleId: { type: "number", minimum: 1, description: "Optional module id" },
+        suiteId: { type: "number", minimum: 1, description: "Optional test suite id" },
+        status: { type: "string", description: "Optional status filter, e.g. normal/blocked/investigate" },
+        keyword: { type: "string", description: "Optional keyword in title/precondition/keywords" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "Default 50, max 200" },
+        page: { type: "number", minimum: 1, description: "Default 1" },
+        path: { type: "string", description: "Optional list endpoint template ({productId}/{suiteId}/{moduleId})" },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_test_case",
+    description: "Get a test case with normalized steps (desc/expect).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "number", minimum: 1, description: "Test case ID" },
+        path: { type: "string", description: "Optional detail endpoint template, default /testcases/{id}" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_test_tasks",
+    description: "List test tasks (测试单) by product/project/execution.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        productId: { type: "number", minimum: 1, description: "Product id, default env ZENTAO_PRODUCT_ID" },
+        projectId: { type: "number", minimum: 1, description: "Optional project id" },
+        executionId: { type: "number", minimum: 1, description: "Optional execution id" },
+        status: { type: "string", description: "Optional status filter, e.g. wait/doing/done/blocked" },
+        keyword: { type: "string", description: "Optional keyword in name/desc" },
+        limit: { type: "number", minimum: 1, maximum: 200, description: "Default 20, max 200" },
+        page: { type: "number", minimum: 1, description: "Default 1" },
+        path: { type: "string", description: "Optional list endpoint template ({productId}/{projectId}/{executionId})" },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_test_runs",
+    description: "List the case runs of one test task with their last results.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        testTaskId: { type: "number", minimum: 1, description: "Test task ID" },
+        status: { type: "string", description: "Optional last result/status filter, e.g. pass/fail/blocked" },
+        path: { type: "string", description: "Optional test task endpoint template, default /testtasks/{id}" },
+      },
+      required: ["testTaskId"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "record_test_result",
+    description: "Record a test case run result (pass/fail/blocked per step); optionally create a linked bug on failure. If the result is recorded but bug creation fails, the result is still returned with bugError.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        caseId: { type: "number", minimum: 1, description: "Test case ID" },
+        runId: { type: "number", minimum: 1, description: "Optional run id (case inside a test task)" },
+        testTaskId: { type: "number", minimum: 1, description: "Optional test task id" },
+        result: { type: "string", description: "Overall result applied to steps without explicit result: pass/fail/blocked/n/a" },
+        steps: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              stepId: { type: "number", minimum: 1 },
+              result: { type: "string", description: "pass/fail/blocked/n/a" },
+              real: { type: "string", description: "Actual result" },
+            },
+            required: ["stepId"],
+            additionalProperties: false,
+          },
+          description: "Per-step results",
+        },
+        createBug: { type: "boolean", description: "Default false; on failure create a bug linked to the case/run" },
+        bug: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            severity: { type: "number", minimum: 1, maximum: 4 },
+            pri: { type: "number", minimum: 1, maximum: 4 },
+            type: { type: "string" },
+            assignedTo: { type: "string" },
+            openedBuild: { type: "array", items: { type: "string" } },
+            productId: { type: "number", minimum: 1 },
+            moduleId: { type: "number", minimum: 0 },
+          },
+          additionalProperties: false,
+          description: "Optional overrides for the created bug",
+        },
+        path: { type: "string", description: "Optional result endpoint template, default /testcases/{caseId}/results" },
+        testTaskPath: { type: "string", description: "Optional test task detail template used to default the bug's openedBuild, default /testtasks/{id}" },
+      },
+      required: ["caseId"],
+      additionalProperties: false,
+    },
+  },
 ];
 
+const INSTANCE_ARG = {
+  type: "string",
+  minLength: 1,
+  description: "Optional ZenTao instance name (see list_instances); default instance when omitted",
+};
+
+// 会发起写请求的工具；call 的 GET 请求在预演时照常执行
+export const WRITE_TOOL_NAMES = new Set([
+  "call",
+  "attach_file_to_bug",
+  "create_bug",
+  "resolve_bug",
+  "batch_resolve_my_bugs",
+  "close_bug",
+  "assign_bug",
+  "edit_bug",
+  "verify_bug",
+  "comment_bug",
+  "undo_last_action",
+  "undo_action",
+  "create_story",
+  "change_story",
+  "review_story",
+  "close_story",
+  "start_task",
+  "pause_task",
+  "finish_task",
+  "activate_task",
+  "record_task_effort",
+  "record_test_result",
+]);
+
+const DRY_RUN_ARG = {
+  type: "boolean",
+  description: "Preview only: run lookups and return the planned write requests and affected items without sending them (default from ZENTAO_DRY_RUN)",
+};
+
+// 返回归一化 bug/需求/项目/任务/用例的列表与详情工具
+const NORMALIZED_TOOL_NAMES = new Set([
+  "list_my_projects",
+  "get_my_bugs",
+  "search_bugs",
+  "get_bug_detail",
+  "list_my_stories",
+  "get_story_detail",
+  "list_my_tasks",
+  "get_task_detail",
+  "list_test_cases",
+  "get_test_case",
+]);
+
+const INCLUDE_RAW_ARG = {
+  type: "boolean",
+  description: "Also return the original ZenTao object as raw on each bug/story/project/task/test case, default false",
+};
+
+// 支持 format/fields/maxChars 输出控制的只读列表与详情工具
+export const OUTPUT_TOOL_NAMES = new Set([
+  ...NORMALIZED_TOOL_NAMES,
+  "get_audit_log",
+  "get_bug_history",
+  "list_my_tasks",
+  "get_task_detail",
+  "list_test_cases",
+  "get_test_case",
+  "list_test_tasks",
+  "list_test_runs",
+]);
+
+const OUTPUT_ARGS = {
+  format: {
+    type: "string",
+    enum: OUTPUT_FORMATS,
+    description:
+      "Output format: json (full, default), compact (single-line JSON without HTML/empty fields), markdown, or table (Markdown table of the main fields)",
+  },
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only return these fields of each item (id is always kept), e.g. [\"title\",\"status\",\"assignedTo\"]",
+  },
+  maxChars: {
+    type: "number",
+    minimum: 500,
+    description: "Character budget for the whole output; long text fields are shortened, then trailing items dropped, and truncation reports what was cut",
+  },
+};
+
+for (const tool of TOOLS) {
+  // get_audit_log 的 instance 是过滤条件，不是目标实例
+  if (tool.name !== "list_instances" && tool.name !== "get_audit_log") tool.inputSchema.properties.instance = INSTANCE_ARG;
+  if (WRITE_TOOL_NAMES.has(tool.name)) tool.inputSchema.properties.dryRun = DRY_RUN_ARG;
+  if (NORMALIZED_TOOL_NAMES.has(tool.name)) tool.inputSchema.properties.includeRaw = INCLUDE_RAW_ARG;
+  if (OUTPUT_TOOL_NAMES.has(tool.name)) Object.assign(tool.inputSchema.properties, OUTPUT_ARGS);
+}
+
+const DATE_FILTER_KEYS = ["openedSince", "openedUntil", "resolvedSince", "resolvedUntil", "deadlineSince", "deadlineUntil"];
+
+function assertFileList(label, value) {
+  if (value === undefined) return;
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+    throw new Error(`${label} must be an array of non-empty strings`);
+  }
+}
+
+function assertBugQueryArgs(name, args) {
+  for (const key of ["severityMin", "severityMax", "priMin", "priMax"]) {
+    if (args[key] !== undefined && (!Number.isInteger(args[key]) || args[key] < 1 || args[key] > 4)) {
+      throw new Error(`${name}.${key} must be an integer between 1 and 4`);
+    }
+  }
+  for (const key of ["openedBy", "resolvedBy", "build", "type", "orderBy", ...DATE_FILTER_KEYS]) {
+    if (args[key] !== undefined && typeof args[key] !== "string") {
+      throw new Error(`${name}.${key} must be a string`);
+    }
+  }
+  if (args.module !== undefined && typeof args.module !== "string" && !Number.isFinite(args.module)) {
+    throw new Error(`${name}.module must be a module id or name`);
+  }
+  if (args.overdue !== undefined && typeof args.overdue !== "boolean") {
+    throw new Error(`${name}.overdue must be a boolean`);
+  }
+  if (name === "search_bugs") {
+    if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 200)) {
+      throw new Error("search_bugs.limit must be a number between 1 and 200");
+    }
+    if (args.maxItems !== undefined && (!Number.isFinite(args.maxItems) || args.maxItems < 1 || args.maxItems > 5000)) {
+      throw new Error("search_bugs.maxItems must be a number between 1 and 5000");
+    }
+    if (args.all !== undefined && typeof args.all !== "boolean") {
+      throw new Error("search_bugs.all must be a boolean");
+    }
+  }
+}
+
+function assertOutputArgs(name, args) {
+  if (args.format !== undefined && !OUTPUT_FORMATS.includes(args.format)) {
+    throw new Error(`${name}.format must be one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  if (args.fields !== undefined && (!Array.isArray(args.fields) || args.fields.some((field) => typeof field !== "string" || !field.trim()))) {
+    throw new Error(`${name}.fields must be an array of field names`);
+  }
+  if (args.maxChars !== undefined && (!Number.isInteger(args.maxChars) || args.maxChars < 500)) {
+    throw new Error(`${name}.maxChars must be an integer >= 500`);
+  }
+}
+
 export function assertToolArgs(name, args) {
   if (args == null) return;
   if (typeof args !== "object") throw new Error(`Invalid arguments for ${name}: expected object`);
+  if (args.instance !== undefined && (typeof args.instance !== "string" || !args.instance.trim())) {
+    throw new Error(`${name}.instance must be a non-empty string`);
+  }
+  if (args.dryRun !== undefined && typeof args.dryRun !== "boolean") {
+    throw new Error(`${name}.dryRun must be a boolean`);
+  }
+  if (args.includeRaw !== undefined && typeof args.includeRaw !== "boolean") {
+    throw new Error(`${name}.includeRaw must be a boolean`);
+  }
+  // edit_bug 等工具的 fields 是要修改的字段对象，只有输出控制类工具的 fields 是字段名列表
+  if (OUTPUT_TOOL_NAMES.has(name)) assertOutputArgs(name, args);
+  if (name === "get_audit_log") {
+    for (const key of ["tool", "account", "method", "since", "until"]) {
+      if (args[key] !== undefined && typeof args[key] !== "string") {
+        throw new Error(`get_audit_log.${key} must be a string`);
+      }
+    }
+    if (args.bugId !== undefined && (!Number.isFinite(args.bugId) || args.bugId < 1)) {
+      throw new Error("get_audit_log.bugId must be a number >= 1");
+    }
+    if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 500)) {
+      throw new Error("get_audit_log.limit must be a number between 1 and 500");
+    }
+    if (args.failedOnly !== undefined && typeof args.failedOnly !== "boolean") {
+      throw new Error("get_audit_log.failedOnly must be a boolean");
+    }
+  }
+  if (name === "undo_action" && (!Number.isFinite(args.id) || args.id < 1)) {
+    throw new Error("undo_action.id must be a number >= 1");
+  }
+  if (name === "undo_action" || name === "undo_last_action") {
+    if (args.comment !== undefined && typeof args.comment !== "string") {
+      throw new Error(`${name}.comment must be a string`);
+    }
+    if (args.force !== undefined && typeof args.force !== "boolean") {
+      throw new Error(`${name}.force must be a boolean`);
+    }
+  }
+  if (name === "describe_instance" && args.refresh !== undefined && typeof args.refresh !== "boolean") {
+    throw new Error("describe_instance.refresh must be a boolean");
+  }
   if (name === "call" && typeof args.path !== "string") {
     throw new Error("call.path must be a string");
   }
+  if (name === "call" && args.retrySafe !== undefined && typeof args.retrySafe !== "boolean") {
+    throw new Error("call.retrySafe must be a boolean");
+  }
+  if (name === "get_my_bugs" || name === "search_bugs") assertBugQueryArgs(name, args);
   if (name === "get_my_bugs") {
     if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 200)) {
       throw new Error("get_my_bugs.limit must be a number between 1 and 200");
@@ -181,6 +994,12 @@ export function assertToolArgs(name, args) {
     if (args.projectSetId !== undefined && (!Number.isFinite(args.projectSetId) || args.projectSetId < 1)) {
       throw new Error("get_my_bugs.projectSetId must be a number >= 1");
     }
+    if (args.all !== undefined && typeof args.all !== "boolean") {
+      throw new Error("get_my_bugs.all must be a boolean");
+    }
+    if (args.maxItems !== undefined && (!Number.isFinite(args.maxItems) || args.maxItems < 1 || args.maxItems > 5000)) {
+      throw new Error("get_my_bugs.maxItems must be a number between 1 and 5000");
+    }
   }
   if (name === "get_bug_detail") {
     if (!Number.isFinite(args.id) || Number(args.id) < 1) {
@@ -189,6 +1008,81 @@ export function assertToolArgs(name, args) {
     if (args.path !== undefined && typeof args.path !== "string") {
       throw new Error("get_bug_detail.path must be a string");
     }
+    for (const key of ["maxBytes", "maxTotalBytes"]) {
+      if (args[key] !== undefined && (!Number.isFinite(args[key]) || args[key] < 1)) {
+        throw new Error(`get_bug_detail.${key} must be a number >= 1`);
+      }
+    }
+    if (args.maxItems !== undefined && (!Number.isFinite(args.maxItems) || args.maxItems < 1 || args.maxItems > 50)) {
+      throw new Error("get_bug_detail.maxItems must be a number between 1 and 50");
+    }
+  }
+  if (name === "get_bug_attachment") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("get_bug_attachment.id must be a number >= 1");
+    }
+    if (args.fileId !== undefined && (!Number.isFinite(args.fileId) || args.fileId < 1)) {
+      throw new Error("get_bug_attachment.fileId must be a number >= 1");
+    }
+    if (args.url !== undefined && typeof args.url !== "string") {
+      throw new Error("get_bug_attachment.url must be a string");
+    }
+    if (args.fileId === undefined && !args.url) {
+      throw new Error("get_bug_attachment requires fileId or url");
+    }
+    if (args.maxBytes !== undefined && (!Number.isFinite(args.maxBytes) || args.maxBytes < 1)) {
+      throw new Error("get_bug_attachment.maxBytes must be a number >= 1");
+    }
+  }
+  if (name === "get_bug_history") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("get_bug_history.id must be a number >= 1");
+    }
+    if (args.actions !== undefined && (!Array.isArray(args.actions) || args.actions.some((item) => typeof item !== "string"))) {
+      throw new Error("get_bug_history.actions must be an array of strings");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("get_bug_history.path must be a string");
+    }
+  }
+  if (name === "attach_file_to_bug") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("attach_file_to_bug.id must be a number >= 1");
+    }
+    if (args.filePath !== undefined && typeof args.filePath !== "string") {
+      throw new Error("attach_file_to_bug.filePath must be a string");
+    }
+    assertFileList("attach_file_to_bug.files", args.files);
+    if (!args.filePath && !(Array.isArray(args.files) && args.files.length > 0)) {
+      throw new Error("attach_file_to_bug requires filePath or files");
+    }
+  }
+  if (name === "create_bug") {
+    if (typeof args.title !== "string" || !args.title.trim()) {
+      throw new Error("create_bug.title must be a non-empty string");
+    }
+    if (args.productId !== undefined && (!Number.isFinite(args.productId) || args.productId < 1)) {
+      throw new Error("create_bug.productId must be a number >= 1");
+    }
+    if (args.moduleId !== undefined && (!Number.isFinite(args.moduleId) || args.moduleId < 0)) {
+      throw new Error("create_bug.moduleId must be a number >= 0");
+    }
+    if (
+      args.openedBuild !== undefined &&
+      typeof args.openedBuild !== "string" &&
+      !(Array.isArray(args.openedBuild) && args.openedBuild.every((item) => typeof item === "string" || Number.isFinite(item)))
+    ) {
+      throw new Error("create_bug.openedBuild must be a string or an array of strings");
+    }
+    if (args.severity !== undefined && (!Number.isInteger(args.severity) || args.severity < 1 || args.severity > 4)) {
+      throw new Error("create_bug.severity must be an integer between 1 and 4");
+    }
+    if (args.pri !== undefined && (!Number.isInteger(args.pri) || args.pri < 1 || args.pri > 4)) {
+      throw new Error("create_bug.pri must be an integer between 1 and 4");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("create_bug.path must be a string");
+    }
   }
   if (name === "resolve_bug") {
     if (!Number.isFinite(args.id) || Number(args.id) < 1) {
@@ -200,6 +1094,7 @@ export function assertToolArgs(name, args) {
     if (args.solution !== undefined && typeof args.solution !== "string") {
       throw new Error("resolve_bug.solution must be a string");
     }
+    assertFileList("resolve_bug.files", args.files);
   }
   if (name === "batch_resolve_my_bugs") {
     if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 200)) {
@@ -235,6 +1130,28 @@ export function assertToolArgs(name, args) {
       throw new Error("close_bug.path must be a string");
     }
   }
+  if (name === "assign_bug") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("assign_bug.id must be a number >= 1");
+    }
+    if (typeof args.assignedTo !== "string" || !args.assignedTo.trim()) {
+      throw new Error("assign_bug.assignedTo must be a non-empty string");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("assign_bug.path must be a string");
+    }
+  }
+  if (name === "edit_bug") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("edit_bug.id must be a number >= 1");
+    }
+    if (!args.fields || typeof args.fields !== "object" || Array.isArray(args.fields) || Object.keys(args.fields).length === 0) {
+      throw new Error("edit_bug.fields must be a non-empty object");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("edit_bug.path must be a string");
+    }
+  }
   if (name === "verify_bug") {
     if (!Number.isFinite(args.id) || Number(args.id) < 1) {
       throw new Error("verify_bug.id must be a number >= 1");
@@ -262,5 +1179,199 @@ export function assertToolArgs(name, args) {
     if (args.path !== undefined && typeof args.path !== "string") {
       throw new Error("comment_bug.path must be a string");
     }
+    assertFileList("comment_bug.files", args.files);
+  }
+  if (name === "list_my_stories") {
+    if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 200)) {
+      throw new Error("list_my_stories.limit must be a number between 1 and 200");
+    }
+    if (args.page !== undefined && (!Number.isFinite(args.page) || args.page < 1)) {
+      throw new Error("list_my_stories.page must be a number >= 1");
+    }
+    if (args.productId !== undefined && (!Number.isFinite(args.productId) || args.productId < 1)) {
+      throw new Error("list_my_stories.productId must be a number >= 1");
+    }
+    if (args.projectId !== undefined && (!Number.isFinite(args.projectId) || args.projectId < 1)) {
+      throw new Error("list_my_stories.projectId must be a number >= 1");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("list_my_stories.path must be a string");
+    }
+  }
+  if (name === "get_story_detail") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("get_story_detail.id must be a number >= 1");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("get_story_detail.path must be a string");
+    }
+  }
+  if (name === "create_story") {
+    if (typeof args.title !== "string" || !args.title.trim()) {
+      throw new Error("create_story.title must be a non-empty string");
+    }
+    if (args.productId !== undefined && (!Number.isFinite(args.productId) || args.productId < 1)) {
+      throw new Error("create_story.productId must be a number >= 1");
+    }
+    if (args.pri !== undefined && (!Number.isInteger(args.pri) || args.pri < 1 || args.pri > 4)) {
+      throw new Error("create_story.pri must be an integer between 1 and 4");
+    }
+    if (args.estimate !== undefined && (!Number.isFinite(args.estimate) || args.estimate < 0)) {
+      throw new Error("create_story.estimate must be a number >= 0");
+    }
+    if (args.reviewer !== undefined && (!Array.isArray(args.reviewer) || args.reviewer.some((item) => typeof item !== "string"))) {
+      throw new Error("create_story.reviewer must be an array of strings");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("create_story.path must be a string");
+    }
+  }
+  if (name === "change_story") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("change_story.id must be a number >= 1");
+    }
+    if (args.title === undefined && args.spec === undefined && args.verify === undefined) {
+      throw new Error("change_story requires at least one of title/spec/verify");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("change_story.path must be a string");
+    }
+  }
+  if (name === "review_story") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("review_story.id must be a number >= 1");
+    }
+    if (args.result !== undefined) {
+      const result = String(args.result).toLowerCase();
+      if (!["pass", "clarify", "reject", "revert"].includes(result)) {
+        throw new Error("review_story.result must be pass, clarify, reject or revert");
+      }
+      if (result === "reject" && !args.closedReason) {
+        throw new Error("review_story.closedReason is required when result=reject");
+      }
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("review_story.path must be a string");
+    }
+  }
+  if (name === "close_story") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("close_story.id must be a number >= 1");
+    }
+    if (String(args.closedReason || "").toLowerCase() === "duplicate" && !Number.isFinite(args.duplicateStory)) {
+      throw new Error("close_story.duplicateStory is required when closedReason=duplicate");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("close_story.path must be a string");
+    }
+  }
+  if (name === "list_my_tasks") {
+    if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 200)) {
+      throw new Error("list_my_tasks.limit must be a number between 1 and 200");
+    }
+    if (args.page !== undefined && (!Number.isFinite(args.page) || args.page < 1)) {
+      throw new Error("list_my_tasks.page must be a number >= 1");
+    }
+    if (args.executionId !== undefined && (!Number.isFinite(args.executionId) || args.executionId < 1)) {
+      throw new Error("list_my_tasks.executionId must be a number >= 1");
+    }
+    if (args.projectId !== undefined && (!Number.isFinite(args.projectId) || args.projectId < 1)) {
+      throw new Error("list_my_tasks.projectId must be a number >= 1");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("list_my_tasks.path must be a string");
+    }
+  }
+  if (["get_task_detail", "start_task", "pause_task", "finish_task", "activate_task", "record_task_effort"].includes(name)) {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error(`${name}.id must be a number >= 1`);
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error(`${name}.path must be a string`);
+    }
+    if (args.left !== undefined && (!Number.isFinite(args.left) || args.left < 0)) {
+      throw new Error(`${name}.left must be a number >= 0`);
+    }
+  }
+  if (name === "start_task" && args.consumed !== undefined && (!Number.isFinite(args.consumed) || args.consumed < 0)) {
+    throw new Error("start_task.consumed must be a number >= 0");
+  }
+  if (name === "finish_task" && (!Number.isFinite(args.consumed) || args.consumed <= 0)) {
+    throw new Error("finish_task.consumed must be a number > 0");
+  }
+  if (name === "record_task_effort") {
+    if (!Number.isFinite(args.consumed) || args.consumed <= 0) {
+      throw new Error("record_task_effort.consumed must be a number > 0");
+    }
+    if (!Number.isFinite(args.left)) {
+      throw new Error("record_task_effort.left must be a number >= 0");
+    }
+    if (args.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(args.date))) {
+      throw new Error("record_task_effort.date must be YYYY-MM-DD");
+    }
+  }
+  if (name === "list_test_cases" || name === "list_test_tasks") {
+    if (args.limit !== undefined && (!Number.isFinite(args.limit) || args.limit < 1 || args.limit > 200)) {
+      throw new Error(`${name}.limit must be a number between 1 and 200`);
+    }
+    if (args.page !== undefined && (!Number.isFinite(args.page) || args.page < 1)) {
+      throw new Error(`${name}.page must be a number >= 1`);
+    }
+    for (const key of ["productId", "moduleId", "suiteId", "projectId", "executionId"]) {
+      if (args[key] !== undefined && (!Number.isFinite(args[key]) || args[key] < 1)) {
+        throw new Error(`${name}.${key} must be a number >= 1`);
+      }
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error(`${name}.path must be a string`);
+    }
+  }
+  if (name === "get_test_case") {
+    if (!Number.isFinite(args.id) || Number(args.id) < 1) {
+      throw new Error("get_test_case.id must be a number >= 1");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("get_test_case.path must be a string");
+    }
+  }
+  if (name === "list_test_runs") {
+    if (!Number.isFinite(args.testTaskId) || Number(args.testTaskId) < 1) {
+      throw new Error("list_test_runs.testTaskId must be a number >= 1");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("list_test_runs.path must be a string");
+    }
+  }
+  if (name === "record_test_result") {
+    const results = ["pass", "fail", "blocked", "n/a"];
+    if (!Number.isFinite(args.caseId) || Number(args.caseId) < 1) {
+      throw new Error("record_test_result.caseId must be a number >= 1");
+    }
+    if (args.result !== undefined && !results.includes(String(args.result).toLowerCase())) {
+      throw new Error("record_test_result.result must be pass, fail, blocked or n/a");
+    }
+    if (args.steps !== undefined) {
+      if (!Array.isArray(args.steps)) throw new Error("record_test_result.steps must be an array");
+      for (const step of args.steps) {
+        if (!Number.isFinite(step?.stepId) || step.stepId < 1) {
+          throw new Error("record_test_result.steps[].stepId must be a number >= 1");
+        }
+        if (step.result !== undefined && !results.includes(String(step.result).toLowerCase())) {
+          throw new Error("record_test_result.steps[].result must be pass, fail, blocked or n/a");
+        }
+      }
+    }
+    if (args.result === undefined && !(Array.isArray(args.steps) && args.steps.length > 0)) {
+      throw new Error("record_test_result requires result or steps");
+    }
+    if (args.bug !== undefined && (typeof args.bug !== "object" || Array.isArray(args.bug))) {
+      throw new Error("record_test_result.bug must be an object");
+    }
+    if (args.path !== undefined && typeof args.path !== "string") {
+      throw new Error("record_test_result.path must be a string");
+    }
+    if (args.testTaskPath !== undefined && typeof args.testTaskPath !== "string") {
+      throw new Error("record_test_result.testTaskPath must be a string");
+    }
   }
 }
@@ -1,3 +1,26 @@
+import fs from "node:fs/promises";
+import nodePath from "node:path";
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { AsyncLocalStorage } from "node:async_hooks";
+import {
+  getAssigneeAccount,
+  getRecordId,
+  hasObjectList,
+  normalizeActor,
+  normalizeBug,
+  normalizeProject,
+  normalizeStory,
+  normalizeTask,
+  normalizeTestCase,
+  normalizeZenTaoDate,
+  parseObjectDetailFromResponse,
+  parseObjectListFromResponse,
+} from "./models.js";
+import { createRouteMap, isUnsupportedStatus, toRouteTemplate } from "./routes.js";
+
+const scryptAsync = promisify(scrypt);
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -24,12 +47,314 @@ function buildUrl({ baseUrl, apiPrefix, path, query }) {
   return url;
 }
 
+function startsWithBytes(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+// 按文件头识别常见类型；识别不出时回退到响应头/扩展名给出的类型
+function sniffMimeType(buffer, fallback = "") {
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47])) return "image/png";
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWithBytes(buffer, [0x47, 0x49, 0x46, 0x38])) return "image/gif";
+  if (startsWithBytes(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWithBytes(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return "image/webp";
+  }
+  if (startsWithBytes(buffer, [0x42, 0x4d])) return "image/bmp";
+  if (startsWithBytes(buffer, [0x25, 0x50, 0x44, 0x46])) return "application/pdf";
+  if (startsWithBytes(buffer, [0x50, 0x4b, 0x03, 0x04])) return "application/zip";
+  if (startsWithBytes(buffer, [0x1f, 0x8b])) return "application/gzip";
+  const head = buffer.subarray(0, 256).toString("utf8").trimStart().toLowerCase();
+  if (head.startsWith("<svg") || (head.startsWith("<?xml") && head.includes("<svg"))) return "image/svg+xml";
+  const normalizedFallback = String(fallback || "").split(";")[0].trim().toLowerCase();
+  return normalizedFallback || "application/octet-stream";
+}
+
+const EXTENSION_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  svg: "image/svg+xml",
+  pdf: "application/pdf",
+  txt: "text/plain",
+  log: "text/plain",
+  json: "application/json",
+  har: "application/json",
+  xml: "application/xml",
+  csv: "text/csv",
+  zip: "application/zip",
+};
+
+function mimeTypeFromName(name) {
+  const match = /\.([a-z0-9]+)(?:$|[?#])/i.exec(String(name || ""));
+  if (!match) return "";
+  return EXTENSION_MIME_TYPES[match[1].toLowerCase()] || "";
+}
+
+const TEST_STEP_RESULTS = ["pass", "fail", "blocked", "n/a"];
+const BUG_EDITABLE_FIELDS = [
+  "title",
+  "severity",
+  "pri",
+  "type",
+  "module",
+  "openedBuild",
+  "steps",
+  "keywords",
+  "deadline",
+  "assignedTo",
+  "os",
+  "browser",
+  "story",
+  "task",
+  "plan",
+  "mailto",
+];
+// 差异比较时按逗号拆分的列表字段、按数值比较的字段；其余字段是自由文本，去首尾空白后原样比较
+const BUG_LIST_FIELDS = new Set(["openedBuild", "mailto", "os", "browser"]);
+const BUG_NUMERIC_FIELDS = new Set(["severity", "pri", "module", "story", "task", "plan"]);
+const STORY_REVIEW_RESULTS = ["pass", "clarify", "reject", "revert"];
+const STORY_CLOSED_REASONS = ["done", "subdivided", "duplicate", "postponed", "willnotdo", "cancel", "bydesign"];
+
+export function stripHtml(value) {
+  return String(value || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
 function createAbortSignal(timeoutMs) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(new Error("Request timeout")), timeoutMs);
   return { signal: controller.signal, cleanup: () => clearTimeout(timer) };
 }
 
+/**
+ * 批量操作共用的并发池：最多 concurrency 个任务同时执行。
+ * 同一客户端的多个批量操作共享这个上限，避免同时跑两个批量时把禅道打满。
+ * run 的 signal 取消或 shouldSkip() 为真时任务不再执行（返回 undefined），排队中的任务立即离开队列。
+ */
+function createTaskPool({ concurrency = 4 } = {}) {
+  const limit = Math.max(1, Math.trunc(Number(concurrency)) || 1);
+  // 排队项：{ grant, signal }；每个 signal 只挂一个 abort 监听，取消时移出该 signal 的全部排队项
+  const waiting = [];
+  const watchedSignals = new WeakSet();
+  let active = 0;
+
+  function watch(signal) {
+    if (!signal || watchedSignals.has(signal)) return;
+    watchedSignals.add(signal);
+    signal.addEventListener(
+      "abort",
+      () => {
+        for (let index = waiting.length - 1; index >= 0; index -= 1) {
+          if (waiting[index].signal === signal) waiting.splice(index, 1)[0].grant(false);
+        }
+      },
+      { once: true }
+    );
+  }
+
+  // 拿到名额返回 true；等待期间被取消返回 false，且不占用名额
+  function acquire(signal) {
+    if (active < limit) {
+      active += 1;
+      return Promise.resolve(true);
+    }
+    watch(signal);
+    return new Promise((resolve) => waiting.push({ grant: resolve, signal }));
+  }
+
+  // 有排队任务时直接把名额交给它，active 不变，避免新来的任务插队超出上限
+  function release() {
+    const next = waiting.shift();
+    if (next) next.grant(true);
+    else active -= 1;
+  }
+
+  async function run(task, { signal, shouldSkip } = {}) {
+    const skip = () => Boolean(signal?.aborted || shouldSkip?.());
+    if (skip() || !(await acquire(signal))) return undefined;
+    try {
+      if (skip()) return undefined;
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  return { run };
+}
+
+/**
+ * 请求限速：相邻两次请求的发出时间间隔不小于 1000/ratePerSecond 毫秒（0 表示不限）。
+ */
+function createRateLimiter(ratePerSecond = 0) {
+  const intervalMs = Number(ratePerSecond) > 0 ? 1000 / Number(ratePerSecond) : 0;
+  let nextStartAt = 0;
+
+  async function wait() {
+    if (intervalMs <= 0) return;
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + intervalMs;
+    if (startAt > now) await sleep(startAt - now);
+  }
+
+  return { wait };
+}
+
+const PLANNED_OBJECT_TYPES = { bugs: "bug", stories: "story", tasks: "task" };
+
+function describeFormData(form) {
+  const fields = {};
+  for (const [key, value] of form.entries()) {
+    fields[key] = typeof value === "string" ? value : { file: value.name || "blob", size: value.size };
+  }
+  return fields;
+}
+
+const UNAUTHORIZED_PATTERN = /unauthori[sz]ed|未登录|登录已超时/i;
+
+// 禅道 Token 失效时有的版本返回 401/403，有的返回 200 + {"error":"Unauthorized"}
+function isUnauthorizedBody(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return false;
+  return [data.error, data.message, data.msg, data.reason].some(
+    (value) => typeof value === "string" && UNAUTHORIZED_PATTERN.test(value)
+  );
+}
+
+function isAuthFailure(err) {
+  return err?.status === 401 || err?.status === 403 || isUnauthorizedBody(err?.data);
+}
+
+// 未配置 bugsFallbackPaths / projectSetBugsPaths 时的候选端点
+const DEFAULT_MY_BUGS_PATHS = ["/my/bug", "/my/bugs"];
+const DEFAULT_PROJECT_SET_BUGS_PATHS = ["/projectsets/{projectSetId}/bugs", "/projectset/{projectSetId}/bugs", "/programs/{projectSetId}/bugs"];
+
+// describe_instance 探测的列表资源：条目对象名，以及各列表方法会下推给服务端的查询参数
+const ROUTE_PROBE_RESOURCES = {
+  bugs: { objectKey: "bug", params: ["page", "status", "assignedTo", "order"] },
+  stories: { objectKey: "story", params: ["page", "status"] },
+  tasks: { objectKey: "task", params: ["page", "status"] },
+  projects: { objectKey: "project", params: [] },
+};
+const ROUTE_PROBE_SAMPLE_SIZE = 20;
+
+// 翻页取全部 bug 时的上限，防止超大产品把整个库拉下来
+const BUG_LIST_MAX_ITEMS = 5000;
+const BUG_LIST_MAX_PAGES = 200;
+
+// 禅道分页信息：v1 接口为 { page, limit, total }，旧接口为 pager: { pageID, recPerPage, recTotal }
+function parsePagerFromResponse(data) {
+  for (const source of [data, data?.data]) {
+    if (!source || typeof source !== "object" || Array.isArray(source)) continue;
+    const pager = source.pager && typeof source.pager === "object" ? source.pager : null;
+    const rawTotal = pager ? pager.recTotal : source.total;
+    if (rawTotal === undefined || rawTotal === null || rawTotal === "") continue;
+    const total = Number(rawTotal);
+    if (!Number.isFinite(total) || total < 0) continue;
+    const page = Number(pager ? pager.pageID : source.page);
+    const limit = Number(pager ? pager.recPerPage : source.limit);
+    return { total, page: page > 0 ? page : null, limit: limit > 0 ? limit : null };
+  }
+  return null;
+}
+
+// 有 total 时按 total 判断；没有时以“本页取满”作为还有下一页的依据
+function hasMorePages(pager, page, limit, pageSize) {
+  if (pageSize === 0) return false;
+  if (pager) return page * (pager.limit || limit) < pager.total;
+  return pageSize >= limit;
+}
+
+// orderBy 支持的字段（禅道 order 参数风格：field_asc / field_desc）
+const BUG_ORDER_FIELDS = ["id", "pri", "severity", "openedDate", "resolvedDate", "deadline", "lastEditedDate", "status"];
+const BUG_DATE_FIELDS = new Set(["openedDate", "resolvedDate", "deadline", "lastEditedDate"]);
+
+// 禅道返回的日期没有时区，与用户给的日期边界一样按本地时间解析；只有日期时取当天 0 点
+function parseLocalTime(value) {
+  const text = String(value ?? "").trim();
+  if (!text || /^0000-00-00/.test(text)) return null;
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00` : text.replace(" ", "T"));
+  return Number.isFinite(time) ? time : null;
+}
+
+function parseDateBound(value, label, endOfDay) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  const time = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseLocalTime(`${text}T23:59:59.999`) : parseLocalTime(text);
+  if (time === null) throw new Error(`${label} must be a date (YYYY-MM-DD) or date-time`);
+  return time;
+}
+
+function parseIntRange(min, max, label) {
+  if (min === undefined && max === undefined) return null;
+  const range = { min: null, max: null };
+  for (const [key, value] of [["min", min], ["max", max]]) {
+    if (value === undefined || value === null) continue;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > 4) {
+      throw new Error(`${label}${key === "min" ? "Min" : "Max"} must be an integer between 1 and 4`);
+    }
+    range[key] = parsed;
+  }
+  if (range.min !== null && range.max !== null && range.min > range.max) {
+    throw new Error(`${label}Min must not be greater than ${label}Max`);
+  }
+  return range;
+}
+
+function parseBugOrder(orderBy) {
+  const text = String(orderBy || "").trim();
+  if (!text) return null;
+  const match = /^([a-z]+)(?:_(asc|desc))?$/i.exec(text);
+  const field = match && BUG_ORDER_FIELDS.find((item) => item.toLowerCase() === match[1].toLowerCase());
+  if (!field) {
+    throw new Error(`orderBy must be <field>_asc or <field>_desc with field one of ${BUG_ORDER_FIELDS.join(", ")}`);
+  }
+  const desc = String(match[2] || "asc").toLowerCase() === "desc";
+  return { field, desc, param: `${field}_${desc ? "desc" : "asc"}` };
+}
+
+// 每个客户端保留的可撤销操作条数（仅内存，进程/HTTP 会话结束即清空）
+const UNDO_JOURNAL_LIMIT = 100;
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// 网络错误（连接被拒/重置、DNS、超时）没有 status，由 fetchJson 标记 transient
+function isTransientError(err) {
+  if (err?.status !== undefined) return RETRYABLE_STATUSES.has(err.status);
+  return Boolean(err?.transient);
+}
+
+// Retry-After 可以是秒数或 HTTP 日期
+function parseRetryAfterMs(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// 指数退避 + 抖动：取 [一半, 全部] 区间内的随机值，避免多个客户端同时重试
+function computeBackoffMs(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
 export function createZenTaoClient(config) {
   const {
     baseUrl,
@@ -42,11 +367,48 @@ export function createZenTaoClient(config) {
     myBugsPath,
     bugsFallbackPaths,
     projectSetBugsPaths,
+    myStoriesPath = "",
+    myTasksPath = "",
+    fileDownloadPath = "/index.php?m=file&f=download&fileID={id}",
+    bugRequiredFieldsPath = "/index.php?m=custom&f=required&moduleName=bug&t=json",
+    bugRequiredFields = ["title", "openedBuild"],
+    mediaMaxBytes = 5 * 1024 * 1024,
+    mediaMaxTotalBytes = 10 * 1024 * 1024,
+    uploadPath = "/files",
+    uploadMaxBytes = 20 * 1024 * 1024,
+    uploadAllowedDirs = [],
+    tokenCacheFile = "",
+    routeCacheFile = "",
+    retryMaxAttempts = 3,
+    retryBaseDelayMs = 500,
+    retryMaxDelayMs = 8000,
+    retryDeadlineMs = 30000,
+    batchConcurrency = 4,
+    batchRatePerSecond = 10,
+    auditLog = null,
     auth,
   } = config;
 
+  const batchPool = createTaskPool({ concurrency: batchConcurrency });
+  // 批量操作内发出的每个 HTTP 请求（含快照 GET、登录后重放）都经过限速，多个批量共享
+  const batchLimiter = createRateLimiter(batchRatePerSecond);
+  const batchStorage = new AsyncLocalStorage();
+  // 预演上下文：planWrites 内发起的写请求只记录不发送；用 AsyncLocalStorage 区分并发的工具调用
+  const dryRunStorage = new AsyncLocalStorage();
+  // 撤销日志：resolve/close/activate 前的 bug 状态快照，按自增 id 引用
+  const undoJournal = [];
+  let undoSeq = 0;
+
   let cachedToken = "";
   let cachedAt = 0;
+  let loginPromise = null;
+  let tokenFileChecked = false;
+
+  // 端点能力表：跳过已知不可用的候选路径；落盘时按版本号区分，首次列表调用前探测一次版本
+  const routeMap = createRouteMap({ baseUrl, cacheFile: routeCacheFile });
+  let routeMapReady = null;
+  // 实例配置的建 bug 必填字段，首次建 bug 时读取一次
+  let bugRequiredFieldsPromise = null;
 
   async function fetchJson(url, { method, headers, body }) {
     const { signal, cleanup } = createAbortSignal(timeoutMs);
@@ -59,14 +421,36 @@ export function createZenTaoClient(config) {
         const err = new Error(`Request failed ${resp.status}: ${truncate(String(text), 2000)}`);
         err.status = resp.status;
         err.data = data;
+        err.retryAfterMs = parseRetryAfterMs(resp.headers.get("retry-after"));
         throw err;
       }
       return { status: resp.status, headers: Object.fromEntries(resp.headers.entries()), data };
+    } catch (err) {
+      if (err && typeof err === "object" && err.status === undefined) err.transient = true;
+      throw err;
     } finally {
       cleanup();
     }
   }
 
+  async function readBodyWithLimit(resp, maxBytes) {
+    if (!resp.body) return { buffer: Buffer.alloc(0), exceeded: false };
+    const reader = resp.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > maxBytes) {
+        await reader.cancel().catch(() => {});
+        return { buffer: null, exceeded: true, size };
+      }
+      chunks.push(Buffer.from(value));
+    }
+    return { buffer: Buffer.concat(chunks), exceeded: false, size };
+  }
+
   function safeJsonParse(text) {
     try {
       return JSON.parse(text);
@@ -86,10 +470,71 @@ export function createZenTaoClient(config) {
     return Date.now() - cachedAt > tokenTtlMs;
   }
 
-  async function getToken({ force } = {}) {
-    if (!force && !tokenExpired()) {
-      return { token: cachedToken, source: "cache" };
+  // 缓存文件按 baseUrl+账号 分条目保存，不落盘密码，也不落盘可离线撞库的无盐密码摘要
+  function tokenCacheKey() {
+    return `${baseUrl}#${auth.account}`;
+  }
+
+  // 每个条目附带随机盐的 scrypt 校验值：密码变更后校验不通过，旧 Token 不再复用
+  async function passwordVerifier(salt) {
+    return (await scryptAsync(String(auth.password), Buffer.from(salt, "hex"), 32)).toString("hex");
+  }
+
+  async function verifyTokenCacheEntry(entry) {
+    const salt = String(entry?.verifier?.salt || "");
+    const expected = Buffer.from(String(entry?.verifier?.hash || ""), "hex");
+    if (!salt || expected.length === 0) return false;
+    const actual = Buffer.from(await passwordVerifier(salt), "hex");
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+  async function readTokenCacheFile() {
+    try {
+      const stat = await fs.stat(tokenCacheFile);
+      if ((stat.mode & 0o077) !== 0) {
+        process.stderr.write(`token cache ${tokenCacheFile} is readable by other users (mode ${(stat.mode & 0o777).toString(8)}); ignoring it\n`);
+        return {};
+      }
+      const data = JSON.parse(await fs.readFile(tokenCacheFile, "utf8"));
+      return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  async function writeTokenCacheFile() {
+    try {
+      const entries = await readTokenCacheFile();
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(entries)) {
+        if (!entry?.token || now - Number(entry.cachedAt || 0) > tokenTtlMs) delete entries[key];
+      }
+      const salt = randomBytes(16).toString("hex");
+      entries[tokenCacheKey()] = { token: cachedToken, cachedAt, verifier: { salt, hash: await passwordVerifier(salt) } };
+      await fs.mkdir(nodePath.dirname(tokenCacheFile), { recursive: true, mode: 0o700 });
+      // 先写临时文件再 rename，避免并发进程读到半截内容
+      const tmpFile = `${tokenCacheFile}.${process.pid}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(entries), { mode: 0o600 });
+      await fs.chmod(tmpFile, 0o600);
+      await fs.rename(tmpFile, tokenCacheFile);
+    } catch (err) {
+      process.stderr.write(`failed to write token cache ${tokenCacheFile}: ${String(err?.message || err)}\n`);
     }
+  }
+
+  async function loadTokenFromFile() {
+    if (!tokenCacheFile || tokenFileChecked) return false;
+    tokenFileChecked = true;
+    const entry = (await readTokenCacheFile())[tokenCacheKey()];
+    const entryCachedAt = Number(entry?.cachedAt || 0);
+    if (!entry?.token || Date.now() - entryCachedAt > tokenTtlMs) return false;
+    if (!(await verifyTokenCacheEntry(entry))) return false;
+    cachedToken = String(entry.token);
+    cachedAt = entryCachedAt;
+    return true;
+  }
+
+  async function login() {
     if (!auth.account || !auth.password) {
       throw new Error("Need ZENTAO_ACCOUNT and ZENTAO_PASSWORD");
     }
@@ -116,21 +561,116 @@ export function createZenTaoClient(config) {
     }
     cachedToken = token;
     cachedAt = Date.now();
+    if (tokenCacheFile) await writeTokenCacheFile();
     return { token: cachedToken, source: "login" };
   }
 
-  async function call({ path, method = "GET", query, body } = {}) {
+  async function getToken({ force } = {}) {
+    if (!force && !tokenExpired()) {
+      return { token: cachedToken, source: "cache" };
+    }
+    // 并发请求同时发现 Token 过期时只读一次缓存文件/只登录一次
+    if (!loginPromise) {
+      loginPromise = (async () => {
+        if (!force && (await loadTokenFromFile())) return { token: cachedToken, source: "file" };
+        return login();
+      })().finally(() => {
+        loginPromise = null;
+      });
+    }
+    return loginPromise;
+  }
+
+  async function callOnce({ url, method, body, form }) {
+    const send = (token) => {
+      const headers = { Token: token };
+      let payload;
+      if (form !== undefined) {
+        // multipart：交给 fetch 生成带 boundary 的 Content-Type
+        payload = form;
+      } else if (body !== undefined) {
+        headers["Content-Type"] = "application/json";
+        payload = JSON.stringify(body);
+      }
+      return fetchJson(url, { method, headers, body: payload });
+    };
+
     const tokenInfo = await getToken();
-    const url = buildUrl({ baseUrl, apiPrefix, path, query });
+    try {
+      const resp = await send(tokenInfo.token);
+      if (!isUnauthorizedBody(resp.data)) return resp;
+    } catch (err) {
+      if (!isAuthFailure(err)) throw err;
+    }
 
-    const headers = { Token: tokenInfo.token };
-    let payload;
-    if (body !== undefined) {
-      headers["Content-Type"] = "application/json";
-      payload = JSON.stringify(body);
+    // 服务端提前作废了 Token：重新登录一次后重放请求；若其他请求已换到新 Token 则直接复用
+    const fresh = cachedToken && cachedToken !== tokenInfo.token ? cachedToken : (await getToken({ force: true })).token;
+    const resp = await send(fresh);
+    if (isUnauthorizedBody(resp.data)) {
+      const err = new Error("ZenTao rejected the request as unauthorized even after re-login");
+      err.status = 401;
+      err.data = resp.data;
+      throw err;
     }
+    return resp;
+  }
 
-    return fetchJson(url, { method: method.toUpperCase(), headers, body: payload });
+  /**
+   * 调用禅道 REST 接口。对瞬时故障（网络错误、超时、429/502/503/504）按指数退避重试：
+   * 只重试幂等方法（GET/HEAD/OPTIONS），写操作需调用方显式传 retrySafe=true；
+   * 优先遵循 Retry-After，总耗时不超过 retryDeadlineMs。返回值与错误都带 attempts。
+   */
+  async function call({ path, method = "GET", query, body, form, retrySafe = false } = {}) {
+    const url = buildUrl({ baseUrl, apiPrefix, path, query });
+    const upperMethod = method.toUpperCase();
+    const plan = dryRunStorage.getStore();
+    if (plan && !IDEMPOTENT_METHODS.has(upperMethod)) {
+      plan.requests.push({
+        method: upperMethod,
+        path,
+        url: url.toString(),
+        ...(body !== undefined ? { body } : {}),
+        ...(form !== undefined ? { form: describeFormData(form) } : {}),
+      });
+      return { status: 0, headers: {}, data: {}, attempts: 0, dryRun: true };
+    }
+    const canRetry = IDEMPOTENT_METHODS.has(upperMethod) || Boolean(retrySafe);
+    const maxAttempts = canRetry ? Math.max(1, retryMaxAttempts) : 1;
+    const startedAt = Date.now();
+    // 每个真正发出的写请求（成功或失败）都进审计日志
+    const audit = (fields) =>
+      IDEMPOTENT_METHODS.has(upperMethod)
+        ? null
+        : auditLog?.record({
+            instance: config.instance,
+            account: auth.account,
+            method: upperMethod,
+            path: `${url.pathname}${url.search}`,
+            durationMs: Date.now() - startedAt,
+            ...fields,
+          });
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        if (!plan && batchStorage.getStore()) await batchLimiter.wait();
+        const resp = await callOnce({ url, method: upperMethod, body, form });
+        if (plan) rememberPlannedTitles(plan, path, resp.data);
+        await audit({ status: resp.status, ok: true, attempts: attempt, data: resp.data });
+        return { ...resp, attempts: attempt };
+      } catch (err) {
+        const delayMs = err?.retryAfterMs ?? computeBackoffMs(attempt, retryBaseDelayMs, retryMaxDelayMs);
+        const withinDeadline = Date.now() - startedAt + delayMs <= retryDeadlineMs;
+        if (attempt >= maxAttempts || !isTransientError(err) || !withinDeadline) {
+          if (err && typeof err === "object") err.attempts = attempt;
+          await audit({ status: err?.status, ok: false, error: err?.message || err, attempts: attempt });
+          throw err;
+        }
+        process.stderr.write(
+          `zentao: ${upperMethod} ${path} failed (${err?.status ?? err?.message}); retry ${attempt + 1}/${maxAttempts} in ${delayMs}ms\n`
+        );
+        await sleep(delayMs);
+      }
+    }
   }
 
   function looksLikeMyProject(p, keyword) {
@@ -152,34 +692,38 @@ export function createZenTaoClient(config) {
     return true;
   }
 
-  async function listMyProjects({ keyword } = {}) {
+  async function getProjectDetail({ id, path = "/projects/{id}", includeRaw = false } = {}) {
+    const projectId = Number(id);
+    if (!Number.isFinite(projectId) || projectId < 1) {
+      throw new Error("getProjectDetail requires a valid project id");
+    }
+    const detailPath = buildObjectDetailPath({ resource: "projects", id: projectId, path });
+    const resp = await call({ path: detailPath, method: "GET" });
+    const project = parseObjectDetailFromResponse(resp.data, "project");
+    if (!project) {
+      return { id: projectId, found: false, raw: { status: resp.status, data: resp.data } };
+    }
+    return { id: projectId, found: true, project: normalizeProject(project, { includeRaw }), raw: { status: resp.status } };
+  }
+
+  async function listMyProjects({ keyword, includeRaw = false } = {}) {
     // 这里的路径可能需要按你的禅道实例调整：如 /projects 或 /projects?limit=...
     const resp = await call({ path: "/projects", method: "GET" });
-    const list = Array.isArray(resp?.data?.projects)
-      ? resp.data.projects
-      : Array.isArray(resp?.data?.data)
-        ? resp.data.data
-        : Array.isArray(resp?.data)
-          ? resp.data
-          : [];
+    const list = parseObjectListFromResponse(resp?.data, "projects");
     const filtered = list.filter((p) => looksLikeMyProject(p, keyword));
-    return { total: list.length, matched: filtered.length, projects: filtered };
+    return {
+      total: list.length,
+      matched: filtered.length,
+      projects: filtered.map((project) => normalizeProject(project, { includeRaw })),
+    };
   }
 
   function parseBugsFromResponse(data) {
-    if (Array.isArray(data?.bugs)) return data.bugs;
-    if (Array.isArray(data?.data?.bugs)) return data.data.bugs;
-    if (Array.isArray(data?.data)) return data.data;
-    if (Array.isArray(data)) return data;
-    return [];
+    return parseObjectListFromResponse(data, "bugs");
   }
 
   function parseBugDetailFromResponse(data) {
-    if (data?.bug && typeof data.bug === "object") return data.bug;
-    if (data?.data?.bug && typeof data.data.bug === "object") return data.data.bug;
-    if (data?.data && typeof data.data === "object" && !Array.isArray(data.data)) return data.data;
-    if (data && typeof data === "object" && !Array.isArray(data)) return data;
-    return null;
+    return parseObjectDetailFromResponse(data, "bug");
   }
 
   function normalizeString(value) {
@@ -234,12 +778,81 @@ export function createZenTaoClient(config) {
     );
   }
 
-  function isNeedProductIdError(err) {
-    const merged = `${String(err?.message || "")} ${JSON.stringify(err?.data || "")}`.toLowerCase();
-    return merged.includes("need product id");
+  // 禅道版本号来自公开的 getconfig 接口（不需要 Token）；取不到时记为 unknown
+  async function detectVersion() {
+    try {
+      const url = new URL("index.php?mode=getconfig", baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`);
+      const resp = await fetchJson(url, { method: "GET", headers: {} });
+      const data = typeof resp.data === "string" ? safeJsonParse(resp.data) : resp.data;
+      return String(data?.version || "").trim() || "unknown";
+    } catch {
+      return "unknown";
+    }
+  }
+
+  async function ensureRouteMap() {
+    if (!routeCacheFile) return;
+    if (!routeMapReady) routeMapReady = detectVersion().then((version) => routeMap.load(version));
+    await routeMapReady;
+  }
+
+  // 依次尝试候选列表端点：首个有命中的路径即返回，全部无命中时取条目最多的一条；triedPaths 记录每条路径的结果。
+  // 能力表已知不可用的路径直接跳过（triedPaths 中标为 skipped），每次调用的结果也回写能力表
+  async function fetchListFromCandidates({ resource, candidatePaths, buildQuery, parseItems, matchItem }) {
+    await ensureRouteMap();
+    const { paths, skipped } = routeMap.filterCandidates(resource, candidatePaths);
+    let bestResult = null;
+    let lastErr = null;
+    const triedPaths = skipped.map((path) => ({ path, skipped: "unsupported (route map)" }));
+    for (const candidate of paths) {
+      try {
+        const query = buildQuery(candidate);
+        const resp = await call({ path: candidate, method: "GET", query });
+        routeMap.recordCall(resource, candidate, { status: resp?.status });
+        const items = parseItems(resp?.data);
+        const filtered = items.filter((item) => matchItem(item));
+
+        triedPaths.push({
+          path: candidate,
+          status: resp?.status ?? null,
+          total: items.length,
+          matched: filtered.length,
+        });
+
+        const currentResult = {
+          path: candidate,
+          status: resp?.status,
+          total: items.length,
+          matched: filtered.length,
+          items: filtered,
+          pageItems: items,
+          pager: parsePagerFromResponse(resp?.data),
+        };
+
+        if (
+          !bestResult ||
+          currentResult.matched > bestResult.matched ||
+          (currentResult.matched === bestResult.matched && currentResult.total > bestResult.total)
+        ) {
+          bestResult = currentResult;
+        }
+
+        if (currentResult.matched > 0) break;
+      } catch (err) {
+        lastErr = err;
+        routeMap.recordCall(resource, candidate, { status: err?.status, error: err?.message || err });
+        triedPaths.push({
+          path: candidate,
+          status: err?.status ?? null,
+          error: String(err?.message || err),
+        });
+      }
+    }
+    if (!bestResult) throw lastErr;
+    return { ...bestResult, triedPaths };
   }
 
-  function buildBugsQueryForPath({ path, limit, page, assignedTo, status, productId }) {
+  function buildBugsQueryForPath({ path, limit, page, assignedTo, status, productId, order, resolvedBy }) {
     if (isMyBugsPath(path) || isProjectSetPath(path)) {
       // "我的bug"和"项目集bug"类端点在部分实例不接受 assignedTo/status/product 参数，使用最小分页参数后本地过滤。
       return { limit, page };
@@ -250,6 +863,148 @@ export function createZenTaoClient(config) {
       assignedTo: assignedTo || undefined,
       status: status || undefined,
       product: productId || undefined,
+      order: order || undefined,
+      resolvedBy: resolvedBy || undefined,
+    };
+  }
+
+  // 探测的候选端点与各列表方法一致（按默认产品/项目集填充 id），加上配置里的自定义路径
+  function routeProbeCandidates(resource) {
+    const productId = normalizePositiveInt(defaultProductId);
+    const projectSetId = normalizePositiveInt(defaultProjectSetId);
+    const fill = (templates, fn) => templates.map((item) => fn(item)).filter(Boolean);
+    const candidates = {
+      bugs: [
+        productId ? `/products/${productId}/bugs` : "",
+        ...fill(projectSetBugsPaths?.length > 0 ? projectSetBugsPaths : DEFAULT_PROJECT_SET_BUGS_PATHS, (item) => buildProjectSetPath(item, projectSetId)),
+        "/bugs",
+        buildMyBugsPath(myBugsPath),
+        ...fill(bugsFallbackPaths?.length > 0 ? bugsFallbackPaths : DEFAULT_MY_BUGS_PATHS, buildMyBugsPath),
+      ],
+      stories: [productId ? `/products/${productId}/stories` : "", buildMyBugsPath(myStoriesPath), "/my/story", "/my/stories"],
+      tasks: [buildMyBugsPath(myTasksPath), "/my/task", "/my/tasks"],
+      projects: ["/projects"],
+    }[resource];
+    return [...new Set(candidates.filter(Boolean))];
+  }
+
+  // 过滤参数是否生效：样本中既有匹配也有不匹配的条目时，带参数的结果应全部匹配
+  function judgeFilterParam(sample, filtered, matches) {
+    if (!filtered || !sample.some(matches) || sample.every(matches)) return null;
+    if (filtered.some((item) => !matches(item))) return false;
+    return filtered.length > 0 ? true : null;
+  }
+
+  function isSortedIds(ids, direction) {
+    return ids.every((id, index) => index === 0 || (direction === "asc" ? ids[index - 1] <= id : ids[index - 1] >= id));
+  }
+
+  /**
+   * 对一个可用的列表端点探测查询参数是否生效：true 生效、false 被忽略、null 样本不足无法判断。
+   * 只发 GET 请求；每个参数至多 2 次请求。
+   */
+  async function probeListParams(resource, path, sample) {
+    const { objectKey, params } = ROUTE_PROBE_RESOURCES[resource];
+    const fetchItems = async (query) => {
+      try {
+        const resp = await call({ path, method: "GET", query: { limit: ROUTE_PROBE_SAMPLE_SIZE, page: 1, ...query } });
+        return parseObjectListFromResponse(resp.data, resource);
+      } catch {
+        return null;
+      }
+    };
+    const idsOf = (items) => items.map((item) => getRecordId(item, objectKey));
+    const result = {};
+    if (sample.length === 0) {
+      for (const param of ["limit", ...params]) result[param] = null;
+      return result;
+    }
+    result.limit = sample.length > ROUTE_PROBE_SAMPLE_SIZE ? false : sample.length === ROUTE_PROBE_SAMPLE_SIZE ? true : null;
+    if (params.includes("page")) {
+      const nextPage = await fetchItems({ page: 2 });
+      if (!nextPage || nextPage.length === 0) result.page = null;
+      else result.page = idsOf(nextPage)[0] !== idsOf(sample)[0];
+    }
+    if (params.includes("status")) {
+      const value = sample.map((item) => String(item.status || "")).find(Boolean);
+      const matches = (item) => String(item.status || "") === value;
+      result.status = value ? judgeFilterParam(sample, await fetchItems({ status: value }), matches) : null;
+    }
+    if (params.includes("assignedTo")) {
+      const value = sample.map((item) => getAssigneeAccount(item)).find(Boolean);
+      const matches = (item) => getAssigneeAccount(item) === value;
+      result.assignedTo = value ? judgeFilterParam(sample, await fetchItems({ assignedTo: value }), matches) : null;
+    }
+    if (params.includes("order")) {
+      const ascending = await fetchItems({ order: "id_asc" });
+      const descending = await fetchItems({ order: "id_desc" });
+      const ascIds = ascending ? idsOf(ascending) : [];
+      const descIds = descending ? idsOf(descending) : [];
+      if (ascIds.length < 2 || descIds.length < 2) result.order = null;
+      else if (isSortedIds(ascIds, "asc") && isSortedIds(descIds, "desc")) result.order = true;
+      else result.order = ascIds.join(",") === descIds.join(",") ? false : null;
+    }
+    return result;
+  }
+
+  async function probeRouteResource(resource) {
+    const entry = { preferredPath: null, paths: {}, params: {} };
+    for (const candidate of routeProbeCandidates(resource)) {
+      const template = toRouteTemplate(candidate);
+      // 带 id 的模板是用默认产品/项目集 id 探测的，失败可能只是该 id 不存在，记为未知而不是不可用
+      const scopedById = template.includes("{id}");
+      const checkedAt = new Date().toISOString();
+      try {
+        const resp = await call({ path: candidate, method: "GET", query: { limit: ROUTE_PROBE_SAMPLE_SIZE, page: 1 } });
+        const supported = hasObjectList(resp.data, resource);
+        const items = parseObjectListFromResponse(resp.data, resource);
+        entry.paths[template] = {
+          supported: supported || (scopedById ? null : false),
+          status: resp.status,
+          ...(supported ? { items: items.length } : { error: "response has no list" }),
+          source: "probe",
+          checkedAt,
+        };
+        if (!supported) continue;
+        if (!entry.preferredPath) entry.preferredPath = template;
+        entry.params[template] = await probeListParams(resource, candidate, items);
+      } catch (err) {
+        entry.paths[template] = {
+          // 认证失败、超时等说明不了端点是否存在，记为未知，不会被跳过
+          supported: isUnsupportedStatus(err?.status) && !scopedById ? false : null,
+          status: err?.status ?? null,
+          error: String(err?.message || err).slice(0, 200),
+          source: "probe",
+          checkedAt,
+        };
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * 返回实例的端点能力表：各资源可用的列表端点、首选端点，以及 page/status/assignedTo/order 等参数是否生效。
+   * 已有探测结果（内存或缓存文件）时直接返回；refresh=true 或尚未探测过时重新探测。
+   */
+  async function describeInstance({ refresh = false } = {}) {
+    await ensureRouteMap();
+    let routes = routeMap.snapshot();
+    const cached = !refresh && Boolean(routes.probedAt);
+    if (!cached) {
+      // 载入缓存文件时已探测过版本；refresh 时重新探测，禅道可能刚升级过
+      const version = !refresh && routes.version ? routes.version : await detectVersion();
+      const resources = {};
+      for (const resource of Object.keys(ROUTE_PROBE_RESOURCES)) resources[resource] = await probeRouteResource(resource);
+      await routeMap.replace({ version, resources });
+      routes = routeMap.snapshot();
+    }
+    return {
+      baseUrl,
+      version: routes.version,
+      probedAt: routes.probedAt,
+      cached,
+      cacheFile: routeCacheFile || null,
+      resources: routes.resources,
     };
   }
 
@@ -261,18 +1016,119 @@ export function createZenTaoClient(config) {
     return `已处理，resolution=${String(resolution || "fixed")}`;
   }
 
-  function getBugAssignee(bug) {
-    return (
-      bug?.assignedTo ||
-      bug?.assignedto ||
-      bug?.assigned_to ||
-      bug?.assignedUser ||
-      bug?.owner ||
-      ""
-    );
+  /**
+   * 把 get_my_bugs/search_bugs 的扩展筛选参数校验并归一化；没有任何扩展筛选时返回 null。
+   */
+  function normalizeBugQueryFilters({
+    severityMin,
+    severityMax,
+    priMin,
+    priMax,
+    openedBy,
+    resolvedBy,
+    module,
+    build,
+    type,
+    openedSince,
+    openedUntil,
+    resolvedSince,
+    resolvedUntil,
+    deadlineSince,
+    deadlineUntil,
+    overdue = false,
+  } = {}) {
+    const timeRange = (field, since, until) => {
+      const range = { since: parseDateBound(since, `${field}Since`, false), until: parseDateBound(until, `${field}Until`, true) };
+      return range.since === null && range.until === null ? null : range;
+    };
+    const moduleText = String(module ?? "").trim();
+    const filters = {
+      severity: parseIntRange(severityMin, severityMax, "severity"),
+      pri: parseIntRange(priMin, priMax, "pri"),
+      openedBy: normalizeString(openedBy),
+      resolvedBy: normalizeString(resolvedBy),
+      module: !moduleText ? null : /^\d+$/.test(moduleText) ? { id: Number(moduleText) } : { name: moduleText.toLowerCase() },
+      build: String(build ?? "").trim(),
+      types: String(type || "")
+        .split(",")
+        .map((item) => normalizeString(item))
+        .filter(Boolean),
+      opened: timeRange("opened", openedSince, openedUntil),
+      resolved: timeRange("resolved", resolvedSince, resolvedUntil),
+      deadline: timeRange("deadline", deadlineSince, deadlineUntil),
+      overdue: Boolean(overdue),
+    };
+    const active = Object.values(filters).some((value) => (Array.isArray(value) ? value.length > 0 : Boolean(value)));
+    return active ? filters : null;
+  }
+
+  function inIntRange(value, range) {
+    if (!range) return true;
+    const number = Number(value);
+    if (value === "" || value === null || value === undefined || !Number.isFinite(number)) return false;
+    return (range.min === null || number >= range.min) && (range.max === null || number <= range.max);
   }
 
-  function matchesBugFilters(bug, { status, keyword, assignee }) {
+  function inTimeRange(value, range) {
+    if (!range) return true;
+    const time = parseLocalTime(normalizeComparableValue(value));
+    if (time === null) return false;
+    return (range.since === null || time >= range.since) && (range.until === null || time <= range.until);
+  }
+
+  function isBugOverdue(bug) {
+    const deadline = parseLocalTime(bug?.deadline);
+    if (deadline === null) return false;
+    if (["resolved", "closed"].includes(normalizeString(bug?.status))) return false;
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    return deadline < startOfToday.getTime();
+  }
+
+  function getBugModuleName(bug) {
+    if (bug?.module && typeof bug.module === "object") return bug.module.name || bug.module.title || "";
+    return bug?.moduleName || bug?.moduleTitle || "";
+  }
+
+  function matchesBugQueryFilters(bug, filters) {
+    if (!inIntRange(bug?.severity, filters.severity)) return false;
+    if (!inIntRange(bug?.pri, filters.pri)) return false;
+    if (filters.openedBy && normalizeString(normalizeComparableValue(bug?.openedBy)) !== filters.openedBy) return false;
+    if (filters.resolvedBy && normalizeString(normalizeComparableValue(bug?.resolvedBy)) !== filters.resolvedBy) return false;
+    if (filters.module?.id && Number(normalizeComparableValue(bug?.module)) !== filters.module.id) return false;
+    // 列表接口通常只返回模块 id，按名称筛选依赖实例返回 moduleName 等字段
+    if (filters.module?.name && !normalizeString(getBugModuleName(bug)).includes(filters.module.name)) return false;
+    if (filters.build) {
+      const builds = [bug?.openedBuild, bug?.resolvedBuild].flatMap((value) => normalizeComparableValue(value).split(","));
+      if (!builds.includes(filters.build)) return false;
+    }
+    if (filters.types.length > 0 && !filters.types.includes(normalizeString(bug?.type))) return false;
+    if (!inTimeRange(bug?.openedDate, filters.opened)) return false;
+    if (!inTimeRange(bug?.resolvedDate, filters.resolved)) return false;
+    if (!inTimeRange(bug?.deadline, filters.deadline)) return false;
+    if (filters.overdue && !isBugOverdue(bug)) return false;
+    return true;
+  }
+
+  // 空值（未解决的 resolvedDate、未设置的 deadline 等）无论升降序都排在最后
+  function compareBugs(left, right, order) {
+    const pick = (bug) => {
+      const value = bug?.[order.field];
+      if (BUG_DATE_FIELDS.has(order.field)) return parseLocalTime(normalizeComparableValue(value));
+      if (order.field === "status") return normalizeString(value) || null;
+      const number = Number(order.field === "id" ? getBugId(bug) : value);
+      return value === "" || value === null || value === undefined || !Number.isFinite(number) ? null : number;
+    };
+    const a = pick(left);
+    const b = pick(right);
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    const result = a < b ? -1 : 1;
+    return order.desc ? -result : result;
+  }
+
+  function matchesBugFilters(bug, { status, keyword, assignee, filters }) {
     const normalizedStatus = normalizeString(status);
     const normalizedKeyword = normalizeString(keyword);
     const normalizedAssignee = normalizeString(assignee);
@@ -283,7 +1139,7 @@ export function createZenTaoClient(config) {
     }
 
     if (normalizedAssignee) {
-      const bugAssignee = normalizeString(getBugAssignee(bug));
+      const bugAssignee = normalizeString(getAssigneeAccount(bug));
       if (bugAssignee !== normalizedAssignee) return false;
     }
 
@@ -294,7 +1150,7 @@ export function createZenTaoClient(config) {
         bug?.pri,
         bug?.steps,
         bug?.status,
-        getBugAssignee(bug),
+        getAssigneeAccount(bug),
       ]
         .filter(Boolean)
         .map((value) => String(value).toLowerCase())
@@ -302,6 +1158,7 @@ export function createZenTaoClient(config) {
       if (!searchableText.includes(normalizedKeyword)) return false;
     }
 
+    if (filters && !matchesBugQueryFilters(bug, filters)) return false;
     return true;
   }
 
@@ -329,11 +1186,29 @@ export function createZenTaoClient(config) {
     return `${trimmed}/${normalizedId}/comment`;
   }
 
+  function buildBugCreatePath({ productId, path }) {
+    const basePath = path || "/products/{productId}/bugs";
+    if (basePath.includes("{productId}")) {
+      return basePath.replaceAll("{productId}", String(productId));
+    }
+    return basePath;
+  }
+
+  function normalizeBuildList(value) {
+    const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+    return list.map((item) => String(item ?? "").trim()).filter(Boolean);
+  }
+
   function buildBugTransitionPath({ id, path, action }) {
+    return buildObjectTransitionPath({ resource: "bugs", id, path, action });
+  }
+
+  // 通用对象动作路径：path 含 {id} 时直接替换，否则视为集合路径并拼接 /{id}/{action}
+  function buildObjectTransitionPath({ resource, id, path, action }) {
     const normalizedId = Number(id);
     const safeAction = String(action || "").trim();
-    if (!safeAction) throw new Error("buildBugTransitionPath requires action");
-    const basePath = path || `/bugs/{id}/${safeAction}`;
+    if (!safeAction) throw new Error("buildObjectTransitionPath requires action");
+    const basePath = path || `/${resource}/{id}/${safeAction}`;
     if (basePath.includes("{id}")) {
       return basePath.replaceAll("{id}", String(normalizedId));
     }
@@ -341,15 +1216,29 @@ export function createZenTaoClient(config) {
     return `${trimmed}/${normalizedId}/${safeAction}`;
   }
 
+  function buildObjectDetailPath({ resource, id, path }) {
+    const normalizedId = Number(id);
+    const basePath = path || `/${resource}/{id}`;
+    if (basePath.includes("{id}")) {
+      return basePath.replaceAll("{id}", String(normalizedId));
+    }
+    const trimmed = basePath.replace(/\/+$/, "");
+    return `${trimmed}/${normalizedId}`;
+  }
+
+  function buildScopedCollectionPath({ path, scopes }) {
+    let result = String(path || "");
+    for (const [placeholder, value] of Object.entries(scopes)) {
+      const normalized = normalizePositiveInt(value);
+      if (!result.includes(`{${placeholder}}`)) continue;
+      if (!normalized) return "";
+      result = result.replaceAll(`{${placeholder}}`, String(normalized));
+    }
+    return result;
+  }
+
   function getBugId(bug) {
-    const id = Number(
-      bug?.id ??
-      bug?.bugId ??
-      bug?.bugID ??
-      bug?.bug_id ??
-      bug?.bug?.id
-    );
-    return Number.isFinite(id) && id > 0 ? id : null;
+    return getRecordId(bug, "bug");
   }
 
   function normalizeResourceUrl(value) {
@@ -454,33 +1343,271 @@ export function createZenTaoClient(config) {
     return Array.from(images);
   }
 
-  async function getMyBugs({
-    status,
-    keyword,
-    limit = 20,
-    page = 1,
-    productId,
-    projectSetId,
-    path = "/bugs",
-    assignedTo,
-  } = {}) {
-    const safeLimit = Math.max(1, Math.min(Number(limit) || 20, 200));
-    const safePage = Math.max(1, Number(page) || 1);
-    const assignee = normalizeString(assignedTo) || normalizeString(auth.account);
-    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
-    const effectiveProjectSetId = normalizePositiveInt(projectSetId) || normalizePositiveInt(defaultProjectSetId);
+  function extractFilesFromBug(bug) {
+    const files = [];
+    const seen = new Set();
+    for (const source of [bug?.files, bug?.attachments, bug?.openedFiles]) {
+      if (!source) continue;
+      const list = Array.isArray(source) ? source : Object.values(source);
+      for (const item of list) {
+        if (!item || typeof item !== "object") continue;
+        const fileId = normalizePositiveInt(item.id ?? item.fileID ?? item.fileId);
+        const title = String(item.title || item.name || item.pathname || "");
+        const extension = String(item.extension || item.ext || "").toLowerCase();
+        const directUrl = [item.webPath, item.url, item.downloadUrl, item.downloadurl, item.viewUrl, item.href]
+          .map((value) => normalizeResourceUrl(value))
+          .find(Boolean);
+        const url = directUrl || (fileId ? buildFileDownloadUrl({ id: fileId, extension }) : "");
+        if (!url || seen.has(url)) continue;
+        seen.add(url);
+        files.push({
+          id: fileId,
+          title,
+          extension,
+          size: Number(item.size) || null,
+          isImage: fileRecordLooksImage(item),
+          url,
+        });
+      }
+    }
+    return files;
+  }
+
+  function buildFileDownloadUrl({ id, extension = "" }) {
+    const path = String(fileDownloadPath || "")
+      .replaceAll("{id}", String(id))
+      .replaceAll("{extension}", encodeURIComponent(extension));
+    return normalizeResourceUrl(path);
+  }
+
+  function isSameOriginUrl(value) {
+    try {
+      return new URL(value).origin === new URL(baseUrl).origin;
+    } catch {
+      return false;
+    }
+  }
+
+  // 下载图片/附件：仅对禅道同源地址带 Token，超出大小的文件直接跳过（不做缩放）
+  async function downloadResource({ url, maxBytes = mediaMaxBytes, nameHint = "" } = {}) {
+    if (!isSameOriginUrl(url)) {
+      return { url, skipped: true, reason: "cross-origin url is not downloaded (token is only sent to ZENTAO_BASE_URL)" };
+    }
+    const tokenInfo = await getToken();
+    const { signal, cleanup } = createAbortSignal(timeoutMs);
+    try {
+      const resp = await fetch(url, { method: "GET", headers: { Token: tokenInfo.token }, signal });
+      if (!resp.ok) {
+        await resp.body?.cancel().catch(() => {});
+        return { url, skipped: true, status: resp.status, reason: `download failed with status ${resp.status}` };
+      }
+      const declaredSize = Number(resp.headers.get("content-length") || 0);
+      if (declaredSize > maxBytes) {
+        await resp.body?.cancel().catch(() => {});
+        return { url, skipped: true, size: declaredSize, reason: `file exceeds maxBytes (${declaredSize} > ${maxBytes})` };
+      }
+      const { buffer, exceeded, size } = await readBodyWithLimit(resp, maxBytes);
+      if (exceeded) {
+        return { url, skipped: true, size, reason: `file exceeds maxBytes (> ${maxBytes})` };
+      }
+      const headerType = resp.headers.get("content-type") || "";
+      const fallbackType = headerType && !headerType.includes("octet-stream")
+        ? headerType
+        : mimeTypeFromName(nameHint) || mimeTypeFromName(url) || headerType;
+      const mimeType = sniffMimeType(buffer, fallbackType);
+      if (mimeType === "text/html" && !/\.html?(?:$|[?#])/i.test(nameHint || "")) {
+        // 未登录/无权限时禅道常返回登录页 HTML
+        return { url, skipped: true, size, reason: "server returned an HTML page instead of file content" };
+      }
+      return { url, skipped: false, status: resp.status, mimeType, size, data: buffer };
+    } catch (err) {
+      return { url, skipped: true, reason: String(err?.message || err) };
+    } finally {
+      cleanup();
+    }
+  }
+
+  async function downloadBugMedia({ images = [], files = [], includeImages, includeFiles, maxBytes, maxTotalBytes, maxItems }) {
+    const perFileLimit = Math.max(1, Math.min(Number(maxBytes) || mediaMaxBytes, mediaMaxBytes));
+    const totalLimit = Math.max(perFileLimit, Number(maxTotalBytes) || mediaMaxTotalBytes);
+    const itemLimit = Math.max(1, Math.min(Number(maxItems) || 10, 50));
+    const targets = [];
+    const seen = new Set();
+    const addTarget = (target) => {
+      if (!target.url || seen.has(target.url)) return;
+      seen.add(target.url);
+      targets.push(target);
+    };
+    if (includeImages) {
+      for (const url of images) addTarget({ url, source: "image" });
+    }
+    for (const file of files) {
+      if (!includeFiles && !(includeImages && file.isImage)) continue;
+      addTarget({ url: file.url, source: "file", fileId: file.id, title: file.title, extension: file.extension });
+    }
+
+    const media = [];
+    const skipped = [];
+    let totalBytes = 0;
+    for (const target of targets) {
+      const meta = { url: target.url, source: target.source, fileId: target.fileId ?? null, title: target.title || "" };
+      if (media.length >= itemLimit) {
+        skipped.push({ ...meta, reason: `maxItems reached (${itemLimit})` });
+        continue;
+      }
+      const remaining = totalLimit - totalBytes;
+      if (remaining <= 0) {
+        skipped.push({ ...meta, reason: `maxTotalBytes reached (${totalLimit})` });
+        continue;
+      }
+      const result = await downloadResource({
+        url: target.url,
+        maxBytes: Math.min(perFileLimit, remaining),
+        nameHint: target.title || (target.extension ? `file.${target.extension}` : ""),
+      });
+      if (result.skipped) {
+        skipped.push({ ...meta, status: result.status ?? null, size: result.size ?? null, reason: result.reason });
+        continue;
+      }
+      const data = result.data.toString("base64");
+      const duplicate = media.find((item) => item.data === data);
+      if (duplicate) {
+        skipped.push({ ...meta, size: result.size, reason: `duplicate of ${duplicate.url}` });
+        continue;
+      }
+      totalBytes += result.size;
+      media.push({ ...meta, mimeType: result.mimeType, size: result.size, data });
+    }
+    return { media, skipped, totalBytes };
+  }
+
+  function isPathInside(child, parent) {
+    const relative = nodePath.relative(parent, child);
+    return relative === "" || (!relative.startsWith("..") && !nodePath.isAbsolute(relative));
+  }
+
+  async function resolveUploadFile(filePath) {
+    const raw = String(filePath || "").trim();
+    if (!raw) throw new Error("upload requires a non-empty file path");
+    const allowedDirs = (uploadAllowedDirs && uploadAllowedDirs.length > 0) ? uploadAllowedDirs : [process.cwd()];
+    let realPath;
+    try {
+      realPath = await fs.realpath(nodePath.resolve(raw));
+    } catch {
+      throw new Error(`File not found: ${raw}`);
+    }
+    const realAllowedDirs = await Promise.all(
+      allowedDirs.map((dir) => fs.realpath(nodePath.resolve(dir)).catch(() => nodePath.resolve(dir)))
+    );
+    if (!realAllowedDirs.some((dir) => isPathInside(realPath, dir))) {
+      throw new Error(
+        `File ${raw} is outside allowed upload dirs (${realAllowedDirs.join(", ")}); set ZENTAO_UPLOAD_ALLOWED_DIRS`
+      );
+    }
+    const stat = await fs.stat(realPath);
+    if (!stat.isFile()) throw new Error(`Not a regular file: ${raw}`);
+    if (stat.size > uploadMaxBytes) {
+      throw new Error(`File ${raw} exceeds upload limit (${stat.size} > ${uploadMaxBytes} bytes)`);
+    }
+    return { realPath, size: stat.size, name: nodePath.basename(realPath) };
+  }
+
+  async function uploadFile({ filePath, objectType, objectId, path = uploadPath, fieldName = "imgFile" } = {}) {
+    const file = await resolveUploadFile(filePath);
+    const content = await fs.readFile(file.realPath);
+    const mimeType = mimeTypeFromName(file.name) || "application/octet-stream";
+    const form = new FormData();
+    form.append(fieldName, new Blob([content], { type: mimeType }), file.name);
+    if (objectType) form.append("objectType", String(objectType));
+    if (objectId) form.append("objectID", String(objectId));
+
+    const resp = await call({ path, method: "POST", form });
+    const data = resp.data && typeof resp.data === "object" ? resp.data : {};
+    return {
+      name: file.name,
+      size: file.size,
+      mimeType,
+      fileId: normalizePositiveInt(data.id ?? data.fileID ?? data.data?.id),
+      url: normalizeResourceUrl(data.url || data.data?.url || ""),
+      raw: { status: resp.status, path },
+    };
+  }
+
+  async function attachFilesToBug({ id, files = [], stopOnError = false } = {}) {
+    const bugId = Number(id);
+    if (!Number.isFinite(bugId) || bugId < 1) {
+      throw new Error("attachFilesToBug requires a valid bug id");
+    }
+    const list = (Array.isArray(files) ? files : [files]).filter(Boolean);
+    const uploaded = [];
+    const failed = [];
+    for (const filePath of list) {
+      try {
+        uploaded.push({ path: filePath, ...(await uploadFile({ filePath, objectType: "bug", objectId: bugId })) });
+      } catch (err) {
+        failed.push({ path: filePath, error: String(err?.message || err) });
+        if (stopOnError) break;
+      }
+    }
+    return { id: bugId, uploaded, failed };
+  }
+
+  async function attachFileToBug({ id, filePath, files } = {}) {
+    const list = [filePath, ...(Array.isArray(files) ? files : [])].filter(Boolean);
+    if (list.length === 0) {
+      throw new Error("attachFileToBug requires filePath or files");
+    }
+    // 先做本地校验，避免部分上传后才发现路径不合法
+    for (const item of list) await resolveUploadFile(item);
+    const result = await attachFilesToBug({ id, files: list, stopOnError: true });
+    if (result.failed.length > 0 && result.uploaded.length === 0) {
+      throw new Error(`Upload failed: ${result.failed[0].error}`);
+    }
+    return { ...result, attached: result.uploaded.length };
+  }
+
+  /**
+   * bug 列表查询：mine=true 时默认只看指派给当前账号的 bug，并回退到“我的 bug”类端点。
+   * assignedTo/status/product/order 下推到服务端查询，其余筛选（严重程度、优先级、日期等）本地过滤。
+   */
+  async function queryBugs({
+    status,
+    keyword,
+    limit,
+    page = 1,
+    productId,
+    projectSetId,
+    path = "/bugs",
+    assignedTo,
+    all = false,
+    maxItems,
+    maxPages,
+    orderBy,
+    mine = true,
+    includeRaw = false,
+    ...filterOptions
+  } = {}) {
+    const filters = normalizeBugQueryFilters(filterOptions);
+    const order = parseBugOrder(orderBy);
+    // all/maxItems：从 page 开始逐页拉取直到取完或达到上限；此时 limit 是每页条数
+    const walkPages = Boolean(all) || maxItems !== undefined;
+    const safeLimit = Math.max(1, Math.min(Number(limit) || (walkPages ? 100 : 20), 200));
+    const safePage = Math.max(1, Number(page) || 1);
+    const assignee = normalizeString(assignedTo) || (mine ? normalizeString(auth.account) : "");
+    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
+    const effectiveProjectSetId = normalizePositiveInt(projectSetId) || normalizePositiveInt(defaultProjectSetId);
     const primaryPath = buildProductScopedBugsPath({ productId: effectiveProductId, path });
     const preferProjectSetPath =
       effectiveProjectSetId &&
       (!path || String(path).trim() === "" || String(path).trim() === "/bugs");
-    const configuredMyBugsPath = buildMyBugsPath(myBugsPath);
+    const configuredMyBugsPath = mine ? buildMyBugsPath(myBugsPath) : "";
     const fallbackPathCandidates = (bugsFallbackPaths && bugsFallbackPaths.length > 0)
       ? bugsFallbackPaths
-      : ["/my/bug", "/my/bugs"];
-    const fallbackPaths = fallbackPathCandidates.map((item) => buildMyBugsPath(item)).filter(Boolean);
+      : DEFAULT_MY_BUGS_PATHS;
+    const fallbackPaths = mine ? fallbackPathCandidates.map((item) => buildMyBugsPath(item)).filter(Boolean) : [];
     const projectSetCandidates = (projectSetBugsPaths && projectSetBugsPaths.length > 0)
       ? projectSetBugsPaths
-      : ["/projectsets/{projectSetId}/bugs", "/projectset/{projectSetId}/bugs", "/programs/{projectSetId}/bugs"];
+      : DEFAULT_PROJECT_SET_BUGS_PATHS;
     const projectSetPaths = projectSetCandidates
       .map((item) => buildProjectSetPath(item, effectiveProjectSetId))
       .filter(Boolean);
@@ -491,6 +1618,8 @@ export function createZenTaoClient(config) {
       assignedTo: assignee,
       status,
       productId: effectiveProductId,
+      order: order?.param,
+      resolvedBy: filters?.resolvedBy,
     };
     const candidatePaths = [];
     if (preferProjectSetPath) {
@@ -515,75 +1644,132 @@ export function createZenTaoClient(config) {
       if (!candidatePaths.includes(fallback)) candidatePaths.push(fallback);
     }
 
-    let bestResult = null;
-    let lastErr = null;
-    const triedPaths = [];
-    for (const candidate of candidatePaths) {
-      try {
-        const query = buildBugsQueryForPath({ path: candidate, ...baseQuery });
-        const resp = await call({ path: candidate, method: "GET", query });
-        const bugs = parseBugsFromResponse(resp?.data);
-        const filtered = bugs.filter((bug) => matchesBugFilters(bug, { status, keyword, assignee }));
-
-        triedPaths.push({
-          path: candidate,
-          status: resp?.status ?? null,
-          total: bugs.length,
-          matched: filtered.length,
-        });
-
-        const currentResult = {
-          total: bugs.length,
-          matched: filtered.length,
-          page: safePage,
-          limit: safeLimit,
-          productId: effectiveProductId,
-          projectSetId: effectiveProjectSetId,
-          assignedTo: assignee,
-          bugs: filtered,
-          raw: { status: resp?.status, path: candidate },
-        };
+    const matchBug = (bug) => matchesBugFilters(bug, { status, keyword, assignee, filters });
+    const listResult = await fetchListFromCandidates({
+      resource: "bugs",
+      candidatePaths,
+      buildQuery: (candidate) => buildBugsQueryForPath({ path: candidate, ...baseQuery }),
+      parseItems: parseBugsFromResponse,
+      matchItem: matchBug,
+    });
 
-        if (
-          !bestResult ||
-          currentResult.matched > bestResult.matched ||
-          (currentResult.matched === bestResult.matched && currentResult.total > bestResult.total)
-        ) {
-          bestResult = currentResult;
+    let bugs = listResult.items;
+    let pager = listResult.pager;
+    let scanned = listResult.total;
+    let pagesFetched = 1;
+    let truncated = hasMorePages(pager, safePage, safeLimit, listResult.total);
+    let pagingIgnored = false;
+    const cap = walkPages ? Math.min(normalizePositiveInt(maxItems) || BUG_LIST_MAX_ITEMS, BUG_LIST_MAX_ITEMS) : null;
+    const pageCap = Math.min(normalizePositiveInt(maxPages) || BUG_LIST_MAX_PAGES, BUG_LIST_MAX_PAGES);
+
+    if (walkPages) {
+      const seenIds = new Set();
+      const collected = [];
+      // 返回本页新出现的条目数；按 getBugId 去重，翻页期间有 bug 变动时不会重复计入
+      const collect = (pageItems) => {
+        let fresh = 0;
+        for (const bug of pageItems) {
+          const bugId = getBugId(bug);
+          if (bugId) {
+            if (seenIds.has(bugId)) continue;
+            seenIds.add(bugId);
+          }
+          fresh += 1;
+          if (matchBug(bug)) collected.push(bug);
         }
-
-        if (currentResult.matched > 0) break;
-      } catch (err) {
-        lastErr = err;
-        triedPaths.push({
-          path: candidate,
-          status: err?.status ?? null,
-          error: String(err?.message || err),
+        return fresh;
+      };
+      scanned = collect(listResult.pageItems);
+
+      let currentPage = safePage;
+      let more = truncated;
+      if (more && routeMap.paramSupport("bugs", listResult.path, "page") === false) {
+        // 能力表已知该端点忽略 page：不再重复请求同一页
+        pagingIgnored = true;
+        more = false;
+      }
+      while (more && collected.length < cap && pagesFetched < pageCap) {
+        currentPage += 1;
+        const resp = await call({
+          path: listResult.path,
+          method: "GET",
+          query: buildBugsQueryForPath({ path: listResult.path, ...baseQuery, page: currentPage }),
         });
-        if (!isNeedProductIdError(err)) continue;
-        if (candidate !== primaryPath) continue;
+        pagesFetched += 1;
+        const pageItems = parseBugsFromResponse(resp.data);
+        const fresh = collect(pageItems);
+        scanned += fresh;
+        pager = parsePagerFromResponse(resp.data) || pager;
+        // 不支持 page 参数的端点会反复返回同一页：没有新条目就停止，满页时无法确认是否还有更多
+        pagingIgnored = fresh === 0 && pageItems.length > 0;
+        more = fresh > 0 && hasMorePages(pager, currentPage, safeLimit, pageItems.length);
       }
+      truncated =
+        collected.length > cap ||
+        (more && (collected.length >= cap || pagesFetched >= pageCap)) ||
+        (pagingIgnored && scanned >= safeLimit);
+      // order 已随请求发给服务端；本地只在已取到的条目内排序，不为排序额外翻页
+      bugs = collected.slice(0, cap);
     }
-    if (!bestResult) throw lastErr;
+    if (order) bugs = [...bugs].sort((left, right) => compareBugs(left, right, order));
+    // 还有未取的页且不能确认服务端按 order 返回时，排序只覆盖已取到的条目
+    const orderPartial = Boolean(order) && truncated && routeMap.paramSupport("bugs", listResult.path, "order") !== true;
 
     return {
-      ...bestResult,
+      total: pager ? pager.total : scanned,
+      matched: bugs.length,
+      scanned,
+      pagesFetched,
+      truncated,
+      ...(pagingIgnored ? { pagingIgnored } : {}),
+      page: safePage,
+      limit: safeLimit,
+      ...(walkPages ? { maxItems: cap } : {}),
+      ...(order ? { orderBy: order.param } : {}),
+      ...(orderPartial ? { orderPartial } : {}),
+      productId: effectiveProductId,
+      projectSetId: effectiveProjectSetId,
+      assignedTo: assignee || null,
+      bugs: bugs.map((bug) => normalizeBug(bug, { includeRaw })),
       raw: {
-        ...bestResult.raw,
-        triedPaths,
+        status: listResult.status,
+        path: listResult.path,
+        triedPaths: listResult.triedPaths,
       },
     };
   }
 
-  async function getBugDetail({ id, path = "/bugs/{id}" } = {}) {
+  async function getMyBugs(options = {}) {
+    return queryBugs({ ...options, mine: true });
+  }
+
+  // 不限于“我的”：默认不按指派人过滤，且默认逐页收集最多 100 条结果
+  async function searchBugs(options = {}) {
+    const walkOptions = options.all || options.maxItems !== undefined ? {} : { maxItems: 100 };
+    return queryBugs({ ...options, ...walkOptions, mine: false });
+  }
+
+  async function fetchRawBug({ bugId, path = "/bugs/{id}" }) {
+    const resp = await call({ path: buildBugDetailPath({ id: bugId, path }), method: "GET" });
+    return { resp, bug: parseBugDetailFromResponse(resp.data) };
+  }
+
+  async function getBugDetail({
+    id,
+    path = "/bugs/{id}",
+    includeImages = false,
+    includeFiles = false,
+    maxBytes,
+    maxTotalBytes,
+    maxItems,
+    includeRaw = false,
+  } = {}) {
     const bugId = Number(id);
     if (!Number.isFinite(bugId) || bugId < 1) {
       throw new Error("getBugDetail requires a valid bug id");
     }
 
-    const detailPath = buildBugDetailPath({ id: bugId, path });
-    const resp = await call({ path: detailPath, method: "GET" });
-    const bug = parseBugDetailFromResponse(resp.data);
+    const { resp, bug } = await fetchRawBug({ bugId, path });
     if (!bug) {
       return {
         id: bugId,
@@ -593,13 +1779,264 @@ export function createZenTaoClient(config) {
       };
     }
 
-    return {
+    const images = extractImageUrlsFromBug(bug);
+    const files = extractFilesFromBug(bug);
+    const result = {
       id: bugId,
       found: true,
-      bug,
-      images: extractImageUrlsFromBug(bug),
+      bug: normalizeBug(bug, { includeRaw }),
+      images,
+      files,
       raw: { status: resp.status },
     };
+    if (includeImages || includeFiles) {
+      const downloaded = await downloadBugMedia({
+        images,
+        files,
+        includeImages,
+        includeFiles,
+        maxBytes,
+        maxTotalBytes,
+        maxItems,
+      });
+      result.media = downloaded.media;
+      result.mediaSkipped = downloaded.skipped;
+    }
+    return result;
+  }
+
+  async function getBugAttachment({ id, fileId, url, path = "/bugs/{id}", maxBytes } = {}) {
+    const bugId = Number(id);
+    if (!Number.isFinite(bugId) || bugId < 1) {
+      throw new Error("getBugAttachment requires a valid bug id");
+    }
+    const normalizedFileId = normalizePositiveInt(fileId);
+    const requestedUrl = normalizeResourceUrl(url);
+    if (!normalizedFileId && !requestedUrl) {
+      throw new Error("getBugAttachment requires fileId or url");
+    }
+
+    const detail = await getBugDetail({ id: bugId, path });
+    if (!detail.found) {
+      throw new Error(`Bug ${bugId} not found`);
+    }
+    const file = normalizedFileId
+      ? detail.files.find((item) => item.id === normalizedFileId)
+      : detail.files.find((item) => item.url === requestedUrl);
+    const targetUrl = file?.url || (requestedUrl && detail.images.includes(requestedUrl) ? requestedUrl : "");
+    if (!targetUrl) {
+      throw new Error(
+        normalizedFileId
+          ? `File ${normalizedFileId} is not attached to bug ${bugId}`
+          : `URL is not an image or attachment of bug ${bugId}`
+      );
+    }
+
+    const downloaded = await downloadBugMedia({
+      images: file ? [] : [targetUrl],
+      files: file ? [file] : [],
+      includeImages: !file,
+      includeFiles: true,
+      maxBytes,
+      maxItems: 1,
+    });
+    return {
+      id: bugId,
+      file: file || { id: null, title: "", url: targetUrl, isImage: true },
+      media: downloaded.media,
+      mediaSkipped: downloaded.skipped,
+    };
+  }
+
+  function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : Object.values(value);
+  }
+
+  function extractBugActions(data) {
+    const candidates = [data?.actions, data?.bug?.actions, data?.data?.actions, data?.data?.bug?.actions];
+    for (const candidate of candidates) {
+      const list = toList(candidate).filter((item) => item && typeof item === "object");
+      if (list.length > 0) return list;
+    }
+    return [];
+  }
+
+  function buildBugTimeline(data) {
+    const histories = data?.histories || data?.data?.histories || {};
+    return extractBugActions(data)
+      .map((action) => {
+        const actionId = normalizePositiveInt(action.id);
+        const rawChanges = toList(action.history).length > 0
+          ? toList(action.history)
+          : toList(actionId ? histories[actionId] : null);
+        return {
+          id: actionId,
+          date: normalizeZenTaoDate(action.date),
+          actor: normalizeActor(action.actor),
+          action: normalizeString(action.action),
+          extra: stripHtml(action.extra || ""),
+          comment: stripHtml(action.comment || ""),
+          changes: rawChanges
+            .filter((item) => item && typeof item === "object")
+            .map((item) => ({
+              field: String(item.field || ""),
+              old: truncate(stripHtml(item.old ?? ""), 500),
+              new: truncate(stripHtml(item.new ?? ""), 500),
+            })),
+        };
+      })
+      .sort((a, b) => (a.date === b.date ? (a.id || 0) - (b.id || 0) : a.date < b.date ? -1 : 1));
+  }
+
+  async function getBugHistory({ id, actions = [], path = "/bugs/{id}" } = {}) {
+    const bugId = Number(id);
+    if (!Number.isFinite(bugId) || bugId < 1) {
+      throw new Error("getBugHistory requires a valid bug id");
+    }
+
+    const detailPath = buildBugDetailPath({ id: bugId, path });
+    const resp = await call({ path: detailPath, method: "GET" });
+    const bug = parseBugDetailFromResponse(resp.data);
+    const actionFilter = (Array.isArray(actions) ? actions : [actions]).map((item) => normalizeString(item)).filter(Boolean);
+    const fullTimeline = buildBugTimeline(resp.data);
+    const timeline = actionFilter.length > 0
+      ? fullTimeline.filter((entry) => actionFilter.includes(entry.action))
+      : fullTimeline;
+
+    return {
+      id: bugId,
+      title: bug?.title || "",
+      status: bug?.status || "",
+      total: fullTimeline.length,
+      matched: timeline.length,
+      timeline,
+      raw: { status: resp.status, path: detailPath },
+    };
+  }
+
+  // 禅道「自定义 → 必填项」页面的 JSON 视图：{ status, data: "<JSON 字符串>" }，其中 requiredFields.create 为逗号分隔的字段名
+  function parseRequiredFieldsResponse(data) {
+    const payload = typeof data === "string" ? safeJsonParse(data) : data;
+    const view = typeof payload?.data === "string" ? safeJsonParse(payload.data) : payload?.data ?? payload;
+    const required = view?.requiredFields;
+    const value = typeof required === "string" ? required : required?.create;
+    return typeof value === "string" ? normalizeBuildList(value) : null;
+  }
+
+  /**
+   * 读取实例的建 bug 必填字段；端点不存在、未登录网页或返回格式不对时回退到 ZENTAO_BUG_REQUIRED_FIELDS。
+   * 网络错误等瞬时失败不缓存，下次建 bug 时重试。
+   */
+  async function loadBugRequiredFields() {
+    const fallback = { fields: normalizeBuildList(bugRequiredFields), source: "config" };
+    if (!bugRequiredFieldsPath) return fallback;
+    if (!bugRequiredFieldsPromise) {
+      bugRequiredFieldsPromise = (async () => {
+        try {
+          const resp = await callOnce({ url: new URL(normalizeResourceUrl(bugRequiredFieldsPath)), method: "GET" });
+          const fields = parseRequiredFieldsResponse(resp.data);
+          return fields ? { fields, source: "instance" } : fallback;
+        } catch (err) {
+          if (err?.status === undefined) bugRequiredFieldsPromise = null;
+          return fallback;
+        }
+      })();
+    }
+    return bugRequiredFieldsPromise;
+  }
+
+  async function createBug({
+    productId,
+    moduleId,
+    openedBuild,
+    title,
+    steps = "",
+    severity = 3,
+    pri = 3,
+    type = "codeerror",
+    assignedTo = "",
+    keywords = "",
+    links = {},
+    path = "/products/{productId}/bugs",
+    detailPath = "/bugs/{id}",
+  } = {}) {
+    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
+    if (!effectiveProductId) {
+      throw new Error("createBug requires productId (or env ZENTAO_PRODUCT_ID)");
+    }
+    const normalizedTitle = String(title || "").trim();
+    if (!normalizedTitle) {
+      throw new Error("createBug requires non-empty title");
+    }
+    const builds = normalizeBuildList(openedBuild);
+    const defaults = {};
+    if (builds.length === 0) {
+      builds.push("trunk");
+      defaults.openedBuild = builds;
+    }
+    const normalizedSeverity = Number(severity);
+    if (!Number.isInteger(normalizedSeverity) || normalizedSeverity < 1 || normalizedSeverity > 4) {
+      throw new Error("createBug.severity must be an integer between 1 and 4");
+    }
+    const normalizedPri = Number(pri);
+    if (!Number.isInteger(normalizedPri) || normalizedPri < 1 || normalizedPri > 4) {
+      throw new Error("createBug.pri must be an integer between 1 and 4");
+    }
+    const normalizedType = String(type || "").trim();
+    if (!normalizedType) {
+      throw new Error("createBug requires non-empty type");
+    }
+
+    const body = {
+      title: normalizedTitle,
+      openedBuild: builds,
+      severity: normalizedSeverity,
+      pri: normalizedPri,
+      type: normalizedType,
+    };
+    const normalizedModuleId = normalizePositiveInt(moduleId);
+    if (normalizedModuleId) body.module = normalizedModuleId;
+    if (String(steps || "").trim()) body.steps = String(steps);
+    if (String(assignedTo || "").trim()) body.assignedTo = String(assignedTo).trim();
+    if (String(keywords || "").trim()) body.keywords = String(keywords).trim();
+    // 关联字段（如用例/测试单/执行结果），由测试结果转 bug 等场景传入
+    for (const [key, value] of Object.entries(links || {})) {
+      if (value !== undefined && value !== null && value !== "") body[key] = value;
+    }
+
+    // 发请求前按实例的必填项检查，一次列出所有缺少的字段，而不是等 POST 失败
+    const required = await loadBugRequiredFields();
+    const missing = required.fields.filter((field) => {
+      const value = body[field];
+      return value === undefined || value === null || (Array.isArray(value) ? value.length === 0 : String(value).trim() === "");
+    });
+    if (missing.length > 0) {
+      const err = new Error(`createBug is missing fields required by this instance: ${missing.join(", ")}`);
+      err.missingFields = missing;
+      err.requiredFields = required;
+      throw err;
+    }
+
+    const createPath = buildBugCreatePath({ productId: effectiveProductId, path });
+    const resp = await call({ path: createPath, method: "POST", body });
+    const createdBug = parseBugDetailFromResponse(resp.data);
+    const bugId = getBugId(createdBug);
+    if (!bugId) {
+      const err = new Error("Create bug response does not contain bug id");
+      err.status = resp.status;
+      err.data = resp.data;
+      throw err;
+    }
+
+    const detail = await getBugDetail({ id: bugId, path: detailPath });
+    return {
+      ...detail,
+      created: true,
+      productId: effectiveProductId,
+      ...(Object.keys(defaults).length > 0 ? { defaults } : {}),
+      raw: { ...detail.raw, createStatus: resp.status, createPath },
+    };
   }
 
   async function resolveBug({
@@ -608,11 +2045,15 @@ export function createZenTaoClient(config) {
     solution = "",
     comment = "",
     path = "/bugs/{id}/resolve",
+    files = [],
+    recordUndo = true,
   } = {}) {
     const bugId = Number(id);
     if (!Number.isFinite(bugId) || bugId < 1) {
       throw new Error("resolveBug requires a valid bug id");
     }
+    for (const filePath of files) await resolveUploadFile(filePath);
+    const snapshot = recordUndo ? await snapshotBugState(bugId) : null;
 
     const resolvePath = buildBugResolvePath({ id: bugId, path });
     const resolvedValue = String(resolution || "fixed");
@@ -623,53 +2064,335 @@ export function createZenTaoClient(config) {
     };
 
     const resp = await call({ path: resolvePath, method: "POST", body });
-    return {
+    const result = {
       id: bugId,
       resolved: true,
       resolution: resolvedValue,
       solution: String(solution || "").trim(),
       comment: resolvedComment,
+      undoId: recordUndoEntry({ action: "resolve", bugId, snapshot, expectedStatus: "resolved" }),
       raw: { status: resp.status, data: resp.data },
     };
+    if (files.length > 0) result.attachments = await attachFilesToBug({ id: bugId, files });
+    return result;
+  }
+
+  // 比较用的归一化：用户对象取 account、数组/逗号串统一为逗号串、空日期视为空
+  function normalizeComparableValue(value) {
+    if (value === undefined || value === null) return "";
+    if (Array.isArray(value)) {
+      return value.map((item) => normalizeComparableValue(item)).filter(Boolean).join(",");
+    }
+    if (typeof value === "object") return normalizeComparableValue(value.account ?? value.id ?? "");
+    const text = String(value).trim();
+    if (/^0000-00-00/.test(text)) return "";
+    if (text !== "" && Number.isFinite(Number(text))) return String(Number(text));
+    return text
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .join(",");
+  }
+
+  function normalizeFieldValue(field, value) {
+    if (BUG_LIST_FIELDS.has(field)) return normalizeComparableValue(value);
+    if (value && typeof value === "object" && !Array.isArray(value)) return normalizeFieldValue(field, value.account ?? value.id ?? "");
+    const text = value === undefined || value === null ? "" : String(value).trim();
+    if (/^0000-00-00/.test(text)) return "";
+    if (BUG_NUMERIC_FIELDS.has(field) && text !== "" && Number.isFinite(Number(text))) return String(Number(text));
+    return text;
+  }
+
+  function diffBugFields(bug, desired) {
+    const changes = [];
+    for (const [field, value] of Object.entries(desired)) {
+      if (value === undefined) continue;
+      const before = bug?.[field];
+      if (normalizeFieldValue(field, before) === normalizeFieldValue(field, value)) continue;
+      changes.push({ field, before: before ?? null, after: value });
+    }
+    return changes;
   }
 
-  async function closeBug({ id, comment = "", path = "/bugs/{id}/close" } = {}) {
+  // 差异比较基于禅道原始字段，提交的也是原始字段名
+  async function loadBugForUpdate({ bugId, detailPath, fnName }) {
+    const { bug } = await fetchRawBug({ bugId, path: detailPath });
+    if (!bug) throw new Error(`${fnName}: bug ${bugId} not found`);
+    return bug;
+  }
+
+  async function assignBug({
+    id,
+    assignedTo,
+    comment = "",
+    path = "/bugs/{id}/assign",
+    detailPath = "/bugs/{id}",
+  } = {}) {
     const bugId = Number(id);
     if (!Number.isFinite(bugId) || bugId < 1) {
-      throw new Error("closeBug requires a valid bug id");
+      throw new Error("assignBug requires a valid bug id");
+    }
+    const account = String(assignedTo || "").trim();
+    if (!account) {
+      throw new Error("assignBug requires assignedTo");
     }
 
-    const closePath = buildBugTransitionPath({ id: bugId, path, action: "close" });
-    const body = {};
-    if (comment) body.comment = String(comment);
+    const bug = await loadBugForUpdate({ bugId, detailPath, fnName: "assignBug" });
+    const changes = diffBugFields(bug, { assignedTo: account });
+    if (changes.length === 0 && !String(comment || "").trim()) {
+      return {
+        id: bugId,
+        changed: false,
+        assignedTo: account,
+        changes,
+        message: `Bug ${bugId} is already assigned to ${account}`,
+      };
+    }
 
-    const resp = await call({ path: closePath, method: "POST", body });
+    const assignPath = buildBugTransitionPath({ id: bugId, path, action: "assign" });
+    const body = { assignedTo: account };
+    if (comment) body.comment = String(comment);
+    const resp = await call({ path: assignPath, method: "POST", body });
     return {
       id: bugId,
-      closed: true,
-      raw: { status: resp.status, data: resp.data },
+      changed: changes.length > 0,
+      title: bug.title || "",
+      changes,
+      before: { assignedTo: bug.assignedTo ?? null },
+      after: { assignedTo: account },
+      raw: { status: resp.status, path: assignPath },
     };
   }
 
-  async function activateBug({ id, comment = "", path = "/bugs/{id}/activate" } = {}) {
+  async function editBug({
+    id,
+    fields = {},
+    comment = "",
+    path = "/bugs/{id}",
+    detailPath = "/bugs/{id}",
+  } = {}) {
     const bugId = Number(id);
     if (!Number.isFinite(bugId) || bugId < 1) {
-      throw new Error("activateBug requires a valid bug id");
+      throw new Error("editBug requires a valid bug id");
+    }
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      throw new Error("editBug.fields must be an object");
+    }
+    const unknownFields = Object.keys(fields).filter((field) => !BUG_EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`editBug does not support fields: ${unknownFields.join(", ")} (allowed: ${BUG_EDITABLE_FIELDS.join(", ")})`);
+    }
+    for (const field of ["severity", "pri"]) {
+      if (fields[field] === undefined) continue;
+      const value = Number(fields[field]);
+      if (!Number.isInteger(value) || value < 1 || value > 4) {
+        throw new Error(`editBug.fields.${field} must be an integer between 1 and 4`);
+      }
+    }
+    if (fields.deadline !== undefined && fields.deadline !== "" && !/^\d{4}-\d{2}-\d{2}$/.test(String(fields.deadline))) {
+      throw new Error("editBug.fields.deadline must be YYYY-MM-DD or empty");
+    }
+
+    const bug = await loadBugForUpdate({ bugId, detailPath, fnName: "editBug" });
+    const changes = diffBugFields(bug, fields);
+    if (changes.length === 0) {
+      return {
+        id: bugId,
+        changed: false,
+        title: bug.title || "",
+        changes,
+        message: "No field differs from the current bug; nothing was sent",
+      };
     }
 
-    const activatePath = buildBugTransitionPath({ id: bugId, path, action: "activate" });
     const body = {};
+    for (const change of changes) body[change.field] = change.after;
     if (comment) body.comment = String(comment);
-
-    const resp = await call({ path: activatePath, method: "POST", body });
+    const editPath = buildBugDetailPath({ id: bugId, path });
+    const resp = await call({ path: editPath, method: "PUT", body });
+
+    const updated = parseBugDetailFromResponse(resp.data);
+    const before = {};
+    const after = {};
+    for (const change of changes) {
+      before[change.field] = change.before;
+      after[change.field] = updated && updated[change.field] !== undefined ? updated[change.field] : change.after;
+    }
     return {
       id: bugId,
-      activated: true,
-      raw: { status: resp.status, data: resp.data },
+      changed: true,
+      title: (updated && updated.title) || bug.title || "",
+      changes,
+      before,
+      after,
+      raw: { status: resp.status, path: editPath },
     };
   }
 
-  async function verifyBug({
+  async function closeBug({ id, comment = "", path = "/bugs/{id}/close", recordUndo = true } = {}) {
+    const bugId = Number(id);
+    if (!Number.isFinite(bugId) || bugId < 1) {
+      throw new Error("closeBug requires a valid bug id");
+    }
+    const snapshot = recordUndo ? await snapshotBugState(bugId) : null;
+
+    const closePath = buildBugTransitionPath({ id: bugId, path, action: "close" });
+    const body = {};
+    if (comment) body.comment = String(comment);
+
+    const resp = await call({ path: closePath, method: "POST", body });
+    return {
+      id: bugId,
+      closed: true,
+      undoId: recordUndoEntry({ action: "close", bugId, snapshot, expectedStatus: "closed" }),
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function activateBug({ id, comment = "", assignedTo = "", path = "/bugs/{id}/activate", recordUndo = true } = {}) {
+    const bugId = Number(id);
+    if (!Number.isFinite(bugId) || bugId < 1) {
+      throw new Error("activateBug requires a valid bug id");
+    }
+    const snapshot = recordUndo ? await snapshotBugState(bugId) : null;
+
+    const activatePath = buildBugTransitionPath({ id: bugId, path, action: "activate" });
+    const body = {};
+    if (assignedTo) body.assignedTo = String(assignedTo);
+    if (comment) body.comment = String(comment);
+
+    const resp = await call({ path: activatePath, method: "POST", body });
+    return {
+      id: bugId,
+      activated: true,
+      undoId: recordUndoEntry({ action: "activate", bugId, snapshot, expectedStatus: "active" }),
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function readBugState(bugId) {
+    const { bug } = await fetchRawBug({ bugId });
+    if (!bug) return null;
+    return {
+      status: normalizeString(bug.status),
+      assignedTo: normalizeComparableValue(getAssigneeAccount(bug)),
+      resolution: String(bug.resolution || ""),
+      title: bug.title || "",
+    };
+  }
+
+  // 快照失败不阻断状态流转，只是这次操作无法撤销；预演时不会真正流转，也无需快照
+  async function snapshotBugState(bugId) {
+    if (dryRunStorage.getStore()) return null;
+    try {
+      const state = await readBugState(bugId);
+      return state ? { state } : { error: `bug ${bugId} not found` };
+    } catch (err) {
+      return { error: String(err?.message || err) };
+    }
+  }
+
+  function recordUndoEntry({ action, bugId, snapshot, expectedStatus }) {
+    if (!snapshot) return null;
+    const { title = "", ...before } = snapshot.state || {};
+    undoSeq += 1;
+    undoJournal.push({
+      id: undoSeq,
+      action,
+      bugId,
+      title,
+      at: new Date().toISOString(),
+      before: snapshot.state ? before : null,
+      ...(snapshot.error ? { snapshotError: snapshot.error } : {}),
+      expectedStatus,
+      undoneAt: null,
+    });
+    if (undoJournal.length > UNDO_JOURNAL_LIMIT) undoJournal.shift();
+    return undoSeq;
+  }
+
+  /**
+   * 撤销一次 resolve/close/activate：按快照把 bug 流转回原状态（必要时多步，如 closed→active→resolved），
+   * 再把指派人改回原值；每一步都带说明备注。bug 在此之后被他人改过状态时默认拒绝，force=true 可强制恢复。
+   */
+  async function undoAction({ id, comment = "", force = false } = {}) {
+    const entry = undoJournal.find((item) => item.id === Number(id));
+    if (!entry) {
+      throw new Error(`undoAction: no recorded action #${id} (only the last ${UNDO_JOURNAL_LIMIT} actions of this session are kept)`);
+    }
+    if (entry.undoneAt) throw new Error(`undoAction: action #${entry.id} was already undone at ${entry.undoneAt}`);
+    if (!entry.before) {
+      throw new Error(`undoAction: prior state of bug ${entry.bugId} was not captured for action #${entry.id} (${entry.snapshotError})`);
+    }
+
+    const bugId = entry.bugId;
+    const current = await readBugState(bugId);
+    if (!current) throw new Error(`undoAction: bug ${bugId} not found`);
+    if (!force && current.status !== entry.expectedStatus) {
+      throw new Error(
+        `undoAction: bug ${bugId} is now ${current.status || "unknown"} (expected ${entry.expectedStatus} after action #${entry.id}); ` +
+          "it may have been changed since. Pass force=true to restore the snapshot anyway"
+      );
+    }
+
+    const target = entry.before;
+    const note = [
+      `撤销操作 #${entry.id}（${entry.action}，${entry.at}）：恢复为 ${target.status}${target.assignedTo ? `，指派给 ${target.assignedTo}` : ""}`,
+      String(comment || "").trim(),
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const restoreAssignee = target.assignedTo && target.assignedTo !== "closed" ? target.assignedTo : "";
+    const steps = [];
+    let status = current.status;
+
+    if (target.status === "active" && status !== "active") {
+      await activateBug({ id: bugId, comment: note, assignedTo: restoreAssignee, recordUndo: false });
+      steps.push("activate");
+      status = "active";
+    }
+    if (target.status === "resolved" || target.status === "closed") {
+      if (status === "closed" && target.status === "resolved") {
+        await activateBug({ id: bugId, comment: note, recordUndo: false });
+        steps.push("activate");
+        status = "active";
+      }
+      if (status === "active") {
+        await resolveBug({ id: bugId, resolution: target.resolution || "fixed", comment: note, recordUndo: false });
+        steps.push("resolve");
+        status = "resolved";
+      }
+      if (target.status === "closed" && status === "resolved") {
+        await closeBug({ id: bugId, comment: note, recordUndo: false });
+        steps.push("close");
+        status = "closed";
+      }
+    }
+    if (restoreAssignee && target.status !== "closed") {
+      const assigned = await assignBug({ id: bugId, assignedTo: restoreAssignee });
+      if (assigned.changed) steps.push("assign");
+    }
+
+    if (!dryRunStorage.getStore()) entry.undoneAt = new Date().toISOString();
+    return {
+      undoId: entry.id,
+      bugId,
+      title: entry.title,
+      action: entry.action,
+      statusBeforeUndo: current.status,
+      restored: { status: target.status, assignedTo: restoreAssignee || null, resolution: target.resolution || null },
+      steps,
+      comment: note,
+    };
+  }
+
+  async function undoLastAction({ comment = "", force = false } = {}) {
+    const entry = [...undoJournal].reverse().find((item) => !item.undoneAt && item.before);
+    if (!entry) throw new Error("undoLastAction: nothing to undo in this session");
+    return undoAction({ id: entry.id, comment, force });
+  }
+
+  async function verifyBug({
     id,
     result = "pass",
     comment = "",
@@ -688,6 +2411,7 @@ export function createZenTaoClient(config) {
         verified: true,
         result: "pass",
         action: "close",
+        undoId: closeResult.undoId,
         raw: closeResult.raw,
       };
     }
@@ -698,11 +2422,12 @@ export function createZenTaoClient(config) {
       verified: true,
       result: "fail",
       action: "activate",
+      undoId: activateResult.undoId,
       raw: activateResult.raw,
     };
   }
 
-  async function commentBug({ id, comment, path = "/bugs/{id}/comment" } = {}) {
+  async function commentBug({ id, comment, path = "/bugs/{id}/comment", files = [] } = {}) {
     const bugId = Number(id);
     if (!Number.isFinite(bugId) || bugId < 1) {
       throw new Error("commentBug requires a valid bug id");
@@ -711,36 +2436,131 @@ export function createZenTaoClient(config) {
     if (!text) {
       throw new Error("commentBug requires non-empty comment");
     }
+    for (const filePath of files) await resolveUploadFile(filePath);
 
     const primaryPath = buildBugCommentPath({ id: bugId, path });
     const body = { comment: text };
+    let resp;
+    let usedPath = primaryPath;
     try {
-      const resp = await call({ path: primaryPath, method: "POST", body });
-      return {
-        id: bugId,
-        commented: true,
-        comment: text,
-        raw: { status: resp.status, path: primaryPath, data: resp.data },
-      };
+      resp = await call({ path: primaryPath, method: "POST", body });
     } catch (err) {
       const fallbackPath = primaryPath.replace(/\/comment$/, "/comments");
-      if (fallbackPath !== primaryPath && Number(err?.status) === 404) {
-        const resp = await call({ path: fallbackPath, method: "POST", body });
-        return {
-          id: bugId,
-          commented: true,
-          comment: text,
-          raw: { status: resp.status, path: fallbackPath, data: resp.data },
-        };
-      }
-      throw err;
+      if (fallbackPath === primaryPath || Number(err?.status) !== 404) throw err;
+      resp = await call({ path: fallbackPath, method: "POST", body });
+      usedPath = fallbackPath;
     }
+
+    const result = {
+      id: bugId,
+      commented: true,
+      comment: text,
+      raw: { status: resp.status, path: usedPath, data: resp.data },
+    };
+    if (files.length > 0) result.attachments = await attachFilesToBug({ id: bugId, files });
+    return result;
+  }
+
+  /**
+   * 通过共享并发池执行批量任务。signal 取消或 stopOnError 遇错后不再启动新任务（已发出的请求会等它完成），
+   * 未执行的条目标记为 skipped；每完成一项回调一次 onProgress。
+   */
+  async function runBatch(items, worker, { signal, onProgress, stopOnError = false } = {}) {
+    const outcomes = new Array(items.length);
+    let completed = 0;
+    let stopped = false;
+    // 预演时写请求不真正发出，不必占用并发池与限速
+    const directPool = { run: async (task, { shouldSkip }) => (signal?.aborted || shouldSkip() ? undefined : task()) };
+    const pool = dryRunStorage.getStore() ? directPool : batchPool;
+
+    await Promise.all(
+      items.map((item, index) =>
+        pool.run(async () => {
+          try {
+            outcomes[index] = { ok: true, value: await batchStorage.run(true, () => worker(item, index)) };
+          } catch (err) {
+            outcomes[index] = { ok: false, error: err };
+            if (stopOnError) stopped = true;
+          }
+          completed += 1;
+          if (onProgress) {
+            try {
+              await onProgress({ completed, total: items.length, item, outcome: outcomes[index] });
+            } catch {
+              // 进度通知失败不影响批量本身
+            }
+          }
+        }, { signal, shouldSkip: () => stopped })
+      )
+    );
+    // 取消或 stopOnError 后未执行的条目
+    for (let index = 0; index < items.length; index += 1) outcomes[index] ??= { skipped: true };
+
+    return { outcomes, cancelled: Boolean(signal?.aborted), stoppedOnError: stopped };
+  }
+
+  // 预演期间从查询结果里顺手记下 bug/需求/任务标题，减少生成 affected 列表时的额外请求
+  function rememberPlannedTitles(plan, path, data) {
+    const remember = (type, record) => {
+      const id = Number(record?.id);
+      const title = record?.title || record?.name;
+      if (Number.isInteger(id) && id > 0 && title) plan.titles.set(`${type}:${id}`, String(title));
+    };
+    for (const [resource, type] of Object.entries(PLANNED_OBJECT_TYPES)) {
+      const list = Array.isArray(data?.[resource]) ? data[resource] : Array.isArray(data?.data?.[resource]) ? data.data[resource] : [];
+      for (const record of list) remember(type, record);
+    }
+    const detail = /^\/?(bugs|stories|tasks)\/(\d+)$/.exec(String(path || ""));
+    if (detail) remember(PLANNED_OBJECT_TYPES[detail[1]], parseObjectDetailFromResponse(data, PLANNED_OBJECT_TYPES[detail[1]]));
+  }
+
+  /**
+   * 写操作预演：在预演上下文中执行 task，查询照常发送，写请求只记录为 planned。
+   * 返回计划中的请求与受影响的 bug/需求/任务（带标题）；task 在记录到写请求之后失败时标记 incomplete。
+   */
+  async function planWrites(task) {
+    const plan = { requests: [], titles: new Map() };
+    let incomplete = "";
+    try {
+      await dryRunStorage.run(plan, task);
+    } catch (err) {
+      if (plan.requests.length === 0) throw err;
+      // 预演时写请求没有真实响应，依赖响应的后续步骤（如新建 bug 后上传附件）无法继续规划
+      incomplete = `Steps after the planned writes depend on their responses and were not planned: ${String(err?.message || err)}`;
+    }
+
+    const affected = [];
+    const seen = new Set();
+    for (const request of plan.requests) {
+      const match = /(?:^|\/)(bugs|stories|tasks)\/(\d+)(?:\/|$)/.exec(request.path);
+      if (!match) continue;
+      const type = PLANNED_OBJECT_TYPES[match[1]];
+      const key = `${type}:${match[2]}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      affected.push({ type, id: Number(match[2]), resource: match[1] });
+    }
+    await runBatch(
+      affected.filter((item) => !plan.titles.has(`${item.type}:${item.id}`)),
+      async (item) => {
+        const resp = await call({ path: `/${item.resource}/${item.id}`, method: "GET" });
+        const record = parseObjectDetailFromResponse(resp.data, item.type);
+        if (record?.title || record?.name) plan.titles.set(`${item.type}:${item.id}`, String(record.title || record.name));
+      }
+    );
+
+    return {
+      dryRun: true,
+      planned: plan.requests,
+      affected: affected.map(({ type, id }) => ({ type, id, title: plan.titles.get(`${type}:${id}`) ?? null })),
+      ...(incomplete ? { incomplete } : {}),
+    };
   }
 
   async function batchResolveMyBugs({
     status = "active",
     keyword = "",
-    limit = 50,
+    limit,
     page = 1,
     productId,
     projectSetId,
@@ -752,8 +2572,11 @@ export function createZenTaoClient(config) {
     listPath = "/bugs",
     resolvePath = "/bugs/{id}/resolve",
     stopOnError = false,
+    signal,
+    onProgress,
   } = {}) {
     const safeMaxItems = Math.max(1, Math.min(Number(maxItems) || 50, 500));
+    // 先翻页收集全部候选再逐个解决：边解决边翻页会让已解决的 bug 移出列表、导致跳页
     const listResult = await getMyBugs({
       status,
       keyword,
@@ -763,20 +2586,15 @@ export function createZenTaoClient(config) {
       projectSetId,
       path: listPath,
       assignedTo,
+      maxItems: safeMaxItems,
     });
 
-    const candidates = (listResult.bugs || []).slice(0, safeMaxItems);
-    const success = [];
-    const failed = [];
-
-    for (const bug of candidates) {
-      const bugId = getBugId(bug);
-      if (!bugId) {
-        failed.push({ id: null, error: "Missing bug id in list item" });
-        if (stopOnError) break;
-        continue;
-      }
-      try {
+    const candidates = listResult.bugs || [];
+    const { outcomes, cancelled, stoppedOnError } = await runBatch(
+      candidates,
+      async (bug) => {
+        const bugId = getBugId(bug);
+        if (!bugId) throw new Error("Missing bug id in list item");
         const result = await resolveBug({
           id: bugId,
           resolution,
@@ -784,49 +2602,1060 @@ export function createZenTaoClient(config) {
           comment,
           path: resolvePath,
         });
-        success.push({ id: bugId, status: result.raw.status });
-      } catch (err) {
-        failed.push({ id: bugId, error: String(err?.message || err) });
-        if (stopOnError) break;
+        return { id: bugId, status: result.raw.status, undoId: result.undoId };
+      },
+      {
+        signal,
+        stopOnError,
+        onProgress: onProgress
+          ? ({ completed, total, item, outcome }) =>
+              onProgress({
+                completed,
+                total,
+                message: `${outcome.ok ? "resolved" : "failed"} bug #${getBugId(item) ?? "?"} (${completed}/${total})`,
+              })
+          : undefined,
       }
-    }
+    );
+
+    const success = [];
+    const failed = [];
+    const skipped = [];
+    outcomes.forEach((outcome, index) => {
+      const bugId = getBugId(candidates[index]) || null;
+      if (outcome.skipped) skipped.push(bugId);
+      else if (outcome.ok) success.push(outcome.value);
+      else failed.push({ id: bugId, error: String(outcome.error?.message || outcome.error) });
+    });
 
     return {
       requested: listResult.matched,
-      attempted: candidates.length,
+      listTotal: listResult.total,
+      pagesFetched: listResult.pagesFetched,
+      truncated: listResult.truncated,
+      attempted: success.length + failed.length,
       resolved: success.length,
       failed: failed.length,
+      skipped: skipped.length,
+      cancelled,
+      stoppedOnError,
       success,
       errors: failed,
+      skippedIds: skipped,
+    };
+  }
+
+  function parseStoriesFromResponse(data) {
+    return parseObjectListFromResponse(data, "stories");
+  }
+
+  function parseStoryDetailFromResponse(data) {
+    return parseObjectDetailFromResponse(data, "story");
+  }
+
+  function getStoryId(story) {
+    return getRecordId(story, "story");
+  }
+
+  function isMyStoriesPath(path) {
+    return String(path || "").toLowerCase().includes("/my/story");
+  }
+
+  function matchesStoryFilters(story, { status, stage, keyword, assignee }) {
+    const normalizedStatus = normalizeString(status);
+    const normalizedStage = normalizeString(stage);
+    const normalizedKeyword = normalizeString(keyword);
+    const normalizedAssignee = normalizeString(assignee);
+
+    if (normalizedStatus && normalizeString(story?.status) !== normalizedStatus) return false;
+    if (normalizedStage && normalizeString(story?.stage) !== normalizedStage) return false;
+    if (normalizedAssignee && normalizeString(getAssigneeAccount(story)) !== normalizedAssignee) return false;
+
+    if (normalizedKeyword) {
+      const searchableText = [
+        story?.title,
+        story?.spec,
+        story?.verify,
+        story?.keywords,
+        story?.pri,
+        story?.status,
+        story?.stage,
+        getAssigneeAccount(story),
+      ]
+        .filter(Boolean)
+        .map((value) => String(value).toLowerCase())
+        .join(" ");
+      if (!searchableText.includes(normalizedKeyword)) return false;
+    }
+
+    return true;
+  }
+
+  // 详情里的关联对象可能是数组、按 id 索引的对象、按项目分组的对象，或逗号分隔的 id 字符串
+  function extractLinkedItems(value) {
+    if (!value) return [];
+    if (typeof value === "string" || typeof value === "number") {
+      return String(value)
+        .split(",")
+        .map((item) => normalizePositiveInt(item))
+        .filter(Boolean)
+        .map((id) => ({ id }));
+    }
+    const list = (Array.isArray(value) ? value : Object.values(value)).flatMap((item) =>
+      Array.isArray(item) ? item : [item]
+    );
+    return list
+      .filter((item) => item && typeof item === "object")
+      .map((item) => ({
+        id: normalizePositiveInt(item.id),
+        title: item.title || item.name || "",
+        status: item.status || "",
+        assignedTo: item.assignedTo || "",
+      }))
+      .filter((item) => item.id);
+  }
+
+  async function getMyStories({
+    status,
+    stage,
+    keyword,
+    limit = 20,
+    page = 1,
+    productId,
+    projectId,
+    path = "",
+    assignedTo,
+    includeRaw = false,
+  } = {}) {
+    const safeLimit = Math.max(1, Math.min(Number(limit) || 20, 200));
+    const safePage = Math.max(1, Number(page) || 1);
+    const showAll = normalizeString(assignedTo) === "all";
+    const assignee = showAll ? "" : normalizeString(assignedTo) || normalizeString(auth.account);
+    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
+    const effectiveProjectId = normalizePositiveInt(projectId);
+
+    const candidatePaths = [];
+    const addCandidate = (candidate) => {
+      if (candidate && !candidatePaths.includes(candidate)) candidatePaths.push(candidate);
+    };
+    if (String(path || "").trim()) {
+      addCandidate(buildScopedCollectionPath({
+        path: buildMyBugsPath(path),
+        scopes: { productId: effectiveProductId, projectId: effectiveProjectId },
+      }));
+    }
+    if (effectiveProjectId) addCandidate(`/projects/${effectiveProjectId}/stories`);
+    if (effectiveProductId) addCandidate(`/products/${effectiveProductId}/stories`);
+    addCandidate(buildMyBugsPath(myStoriesPath));
+    addCandidate("/my/story");
+    addCandidate("/my/stories");
+
+    const listResult = await fetchListFromCandidates({
+      resource: "stories",
+      candidatePaths,
+      // "我的需求"端点只传分页参数，状态/指派统一本地过滤
+      buildQuery: (candidate) => (isMyStoriesPath(candidate)
+        ? { limit: safeLimit, page: safePage }
+        : { limit: safeLimit, page: safePage, status: status || undefined }),
+      parseItems: parseStoriesFromResponse,
+      matchItem: (story) => matchesStoryFilters(story, { status, stage, keyword, assignee }),
+    });
+
+    return {
+      total: listResult.total,
+      matched: listResult.matched,
+      page: safePage,
+      limit: safeLimit,
+      productId: effectiveProductId,
+      projectId: effectiveProjectId,
+      assignedTo: assignee || "all",
+      stories: listResult.items.map((story) => normalizeStory(story, { includeRaw })),
+      raw: {
+        status: listResult.status,
+        path: listResult.path,
+        triedPaths: listResult.triedPaths,
+      },
+    };
+  }
+
+  async function getStoryDetail({ id, path = "/stories/{id}", includeRaw = false } = {}) {
+    const storyId = Number(id);
+    if (!Number.isFinite(storyId) || storyId < 1) {
+      throw new Error("getStoryDetail requires a valid story id");
+    }
+
+    const detailPath = buildObjectDetailPath({ resource: "stories", id: storyId, path });
+    const resp = await call({ path: detailPath, method: "GET" });
+    const story = parseStoryDetailFromResponse(resp.data);
+    if (!story) {
+      return {
+        id: storyId,
+        found: false,
+        raw: { status: resp.status, data: resp.data },
+      };
+    }
+
+    return {
+      id: storyId,
+      found: true,
+      story: normalizeStory(story, { includeRaw }),
+      linked: {
+        bugs: extractLinkedItems(story.bugs || story.linkBugs),
+        tasks: extractLinkedItems(story.tasks),
+        stories: extractLinkedItems(story.linkStoryList || story.linkStories),
+        cases: extractLinkedItems(story.cases),
+      },
+      raw: { status: resp.status },
     };
   }
 
-  // 轻量重试：禅道偶发 502/网关问题时可用；默认不用，保留扩展点
-  async function callWithRetry(args, { retries = 0, backoffMs = 200 } = {}) {
-    let lastErr;
-    for (let i = 0; i <= retries; i++) {
+  async function createStory({
+    productId,
+    title,
+    spec = "",
+    verify = "",
+    reviewer = [],
+    pri = 3,
+    category = "feature",
+    estimate,
+    moduleId,
+    planId,
+    source = "",
+    assignedTo = "",
+    keywords = "",
+    path = "/products/{productId}/stories",
+    detailPath = "/stories/{id}",
+  } = {}) {
+    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
+    if (!effectiveProductId) {
+      throw new Error("createStory requires productId (or env ZENTAO_PRODUCT_ID)");
+    }
+    const normalizedTitle = String(title || "").trim();
+    if (!normalizedTitle) {
+      throw new Error("createStory requires non-empty title");
+    }
+    const normalizedPri = Number(pri);
+    if (!Number.isInteger(normalizedPri) || normalizedPri < 1 || normalizedPri > 4) {
+      throw new Error("createStory.pri must be an integer between 1 and 4");
+    }
+
+    const body = {
+      title: normalizedTitle,
+      pri: normalizedPri,
+      category: String(category || "feature"),
+      spec: String(spec || ""),
+      verify: String(verify || ""),
+    };
+    const reviewers = (Array.isArray(reviewer) ? reviewer : String(reviewer || "").split(","))
+      .map((item) => String(item || "").trim())
+      .filter(Boolean);
+    if (reviewers.length > 0) body.reviewer = reviewers;
+    if (estimate !== undefined && Number.isFinite(Number(estimate))) body.estimate = Number(estimate);
+    if (normalizePositiveInt(moduleId)) body.module = normalizePositiveInt(moduleId);
+    if (normalizePositiveInt(planId)) body.plan = normalizePositiveInt(planId);
+    if (String(source || "").trim()) body.source = String(source).trim();
+    if (String(assignedTo || "").trim()) body.assignedTo = String(assignedTo).trim();
+    if (String(keywords || "").trim()) body.keywords = String(keywords).trim();
+
+    const createPath = buildScopedCollectionPath({ path, scopes: { productId: effectiveProductId } });
+    const resp = await call({ path: createPath, method: "POST", body });
+    const storyId = getStoryId(parseStoryDetailFromResponse(resp.data));
+    if (!storyId) {
+      const err = new Error("Create story response does not contain story id");
+      err.status = resp.status;
+      err.data = resp.data;
+      throw err;
+    }
+
+    const detail = await getStoryDetail({ id: storyId, path: detailPath });
+    return {
+      ...detail,
+      created: true,
+      productId: effectiveProductId,
+      raw: { ...detail.raw, createStatus: resp.status, createPath },
+    };
+  }
+
+  async function changeStory({ id, title, spec, verify, comment = "", path = "/stories/{id}/change" } = {}) {
+    const storyId = Number(id);
+    if (!Number.isFinite(storyId) || storyId < 1) {
+      throw new Error("changeStory requires a valid story id");
+    }
+    const body = {};
+    if (title !== undefined && String(title).trim()) body.title = String(title).trim();
+    if (spec !== undefined) body.spec = String(spec);
+    if (verify !== undefined) body.verify = String(verify);
+    if (Object.keys(body).length === 0) {
+      throw new Error("changeStory requires at least one of title/spec/verify");
+    }
+    if (comment) body.comment = String(comment);
+
+    const changePath = buildObjectTransitionPath({ resource: "stories", id: storyId, path, action: "change" });
+    const resp = await call({ path: changePath, method: "POST", body });
+    return {
+      id: storyId,
+      changed: true,
+      fields: Object.keys(body).filter((key) => key !== "comment"),
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function reviewStory({
+    id,
+    result = "pass",
+    comment = "",
+    closedReason = "",
+    pri,
+    estimate,
+    path = "/stories/{id}/review",
+  } = {}) {
+    const storyId = Number(id);
+    if (!Number.isFinite(storyId) || storyId < 1) {
+      throw new Error("reviewStory requires a valid story id");
+    }
+    const normalizedResult = normalizeString(result || "pass");
+    if (!STORY_REVIEW_RESULTS.includes(normalizedResult)) {
+      throw new Error(`reviewStory.result must be one of ${STORY_REVIEW_RESULTS.join("/")}`);
+    }
+    const normalizedReason = normalizeString(closedReason);
+    if (normalizedResult === "reject") {
+      if (!normalizedReason) throw new Error("reviewStory requires closedReason when result=reject");
+      if (!STORY_CLOSED_REASONS.includes(normalizedReason)) {
+        throw new Error(`reviewStory.closedReason must be one of ${STORY_CLOSED_REASONS.join("/")}`);
+      }
+    }
+
+    const body = { result: normalizedResult };
+    if (normalizedResult === "reject") body.closedReason = normalizedReason;
+    if (comment) body.comment = String(comment);
+    if (normalizePositiveInt(pri)) body.pri = normalizePositiveInt(pri);
+    if (estimate !== undefined && Number.isFinite(Number(estimate))) body.estimate = Number(estimate);
+
+    const reviewPath = buildObjectTransitionPath({ resource: "stories", id: storyId, path, action: "review" });
+    const resp = await call({ path: reviewPath, method: "POST", body });
+    return {
+      id: storyId,
+      reviewed: true,
+      result: normalizedResult,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function closeStory({
+    id,
+    closedReason = "done",
+    comment = "",
+    duplicateStory,
+    path = "/stories/{id}/close",
+  } = {}) {
+    const storyId = Number(id);
+    if (!Number.isFinite(storyId) || storyId < 1) {
+      throw new Error("closeStory requires a valid story id");
+    }
+    const normalizedReason = normalizeString(closedReason || "done");
+    if (!STORY_CLOSED_REASONS.includes(normalizedReason)) {
+      throw new Error(`closeStory.closedReason must be one of ${STORY_CLOSED_REASONS.join("/")}`);
+    }
+    const body = { closedReason: normalizedReason };
+    if (normalizedReason === "duplicate") {
+      const duplicateId = normalizePositiveInt(duplicateStory);
+      if (!duplicateId) throw new Error("closeStory requires duplicateStory when closedReason=duplicate");
+      body.duplicateStory = duplicateId;
+    }
+    if (comment) body.comment = String(comment);
+
+    const closePath = buildObjectTransitionPath({ resource: "stories", id: storyId, path, action: "close" });
+    const resp = await call({ path: closePath, method: "POST", body });
+    return {
+      id: storyId,
+      closed: true,
+      closedReason: normalizedReason,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  function parseTasksFromResponse(data) {
+    return parseObjectListFromResponse(data, "tasks");
+  }
+
+  function parseTaskDetailFromResponse(data) {
+    return parseObjectDetailFromResponse(data, "task");
+  }
+
+  function isMyTasksPath(path) {
+    return String(path || "").toLowerCase().includes("/my/task");
+  }
+
+  function matchesTaskFilters(task, { status, keyword, assignee }) {
+    const normalizedStatus = normalizeString(status);
+    const normalizedKeyword = normalizeString(keyword);
+    const normalizedAssignee = normalizeString(assignee);
+
+    if (normalizedStatus && normalizeString(task?.status) !== normalizedStatus) return false;
+    if (normalizedAssignee && normalizeString(getAssigneeAccount(task)) !== normalizedAssignee) return false;
+
+    if (normalizedKeyword) {
+      const searchableText = [
+        task?.name,
+        task?.title,
+        task?.desc,
+        task?.type,
+        task?.pri,
+        task?.status,
+        task?.storyTitle,
+        getAssigneeAccount(task),
+      ]
+        .filter(Boolean)
+        .map((value) => String(value).toLowerCase())
+        .join(" ");
+      if (!searchableText.includes(normalizedKeyword)) return false;
+    }
+
+    return true;
+  }
+
+  function formatLocalDate(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function formatLocalDateTime(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${formatLocalDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  function normalizeHours(value, label, { required = false, allowZero = true } = {}) {
+    if (value === undefined || value === null || value === "") {
+      if (required) throw new Error(`${label} is required`);
+      return undefined;
+    }
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0 || (!allowZero && hours === 0)) {
+      throw new Error(`${label} must be a number ${allowZero ? ">= 0" : "> 0"}`);
+    }
+    return hours;
+  }
+
+  function requireTaskId(id, fnName) {
+    const taskId = Number(id);
+    if (!Number.isFinite(taskId) || taskId < 1) {
+      throw new Error(`${fnName} requires a valid task id`);
+    }
+    return taskId;
+  }
+
+  async function getMyTasks({
+    status,
+    keyword,
+    limit = 20,
+    page = 1,
+    executionId,
+    projectId,
+    path = "",
+    assignedTo,
+    includeRaw = false,
+  } = {}) {
+    const safeLimit = Math.max(1, Math.min(Number(limit) || 20, 200));
+    const safePage = Math.max(1, Number(page) || 1);
+    const assignee = normalizeString(assignedTo) || normalizeString(auth.account);
+    const effectiveExecutionId = normalizePositiveInt(executionId);
+    const effectiveProjectId = normalizePositiveInt(projectId);
+
+    const candidatePaths = [];
+    const addCandidate = (candidate) => {
+      if (candidate && !candidatePaths.includes(candidate)) candidatePaths.push(candidate);
+    };
+    if (String(path || "").trim()) {
+      addCandidate(buildScopedCollectionPath({
+        path: buildMyBugsPath(path),
+        scopes: { executionId: effectiveExecutionId, projectId: effectiveProjectId },
+      }));
+    }
+    if (effectiveExecutionId) addCandidate(`/executions/${effectiveExecutionId}/tasks`);
+    if (effectiveProjectId) addCandidate(`/projects/${effectiveProjectId}/tasks`);
+    addCandidate(buildMyBugsPath(myTasksPath));
+    addCandidate("/my/task");
+    addCandidate("/my/tasks");
+
+    const listResult = await fetchListFromCandidates({
+      resource: "tasks",
+      candidatePaths,
+      buildQuery: (candidate) => (isMyTasksPath(candidate)
+        ? { limit: safeLimit, page: safePage }
+        : { limit: safeLimit, page: safePage, status: status || undefined }),
+      parseItems: parseTasksFromResponse,
+      matchItem: (task) => matchesTaskFilters(task, { status, keyword, assignee }),
+    });
+
+    return {
+      total: listResult.total,
+      matched: listResult.matched,
+      page: safePage,
+      limit: safeLimit,
+      executionId: effectiveExecutionId,
+      projectId: effectiveProjectId,
+      assignedTo: assignee,
+      tasks: listResult.items.map((task) => normalizeTask(task, { includeRaw })),
+      raw: {
+        status: listResult.status,
+        path: listResult.path,
+        triedPaths: listResult.triedPaths,
+      },
+    };
+  }
+
+  async function getTaskDetail({ id, path = "/tasks/{id}", includeRaw = false } = {}) {
+    const taskId = requireTaskId(id, "getTaskDetail");
+    const detailPath = buildObjectDetailPath({ resource: "tasks", id: taskId, path });
+    const resp = await call({ path: detailPath, method: "GET" });
+    const task = parseTaskDetailFromResponse(resp.data);
+    if (!task) {
+      return {
+        id: taskId,
+        found: false,
+        raw: { status: resp.status, data: resp.data },
+      };
+    }
+    return {
+      id: taskId,
+      found: true,
+      task: normalizeTask(task, { includeRaw }),
+      effort: {
+        estimate: Number(task.estimate) || 0,
+        consumed: Number(task.consumed) || 0,
+        left: Number(task.left) || 0,
+      },
+      raw: { status: resp.status },
+    };
+  }
+
+  async function startTask({ id, consumed, left, comment = "", assignedTo = "", path = "/tasks/{id}/start" } = {}) {
+    const taskId = requireTaskId(id, "startTask");
+    const body = {
+      realStarted: formatLocalDateTime(),
+      consumed: normalizeHours(consumed, "startTask.consumed") ?? 0,
+    };
+    const leftHours = normalizeHours(left, "startTask.left");
+    if (leftHours !== undefined) body.left = leftHours;
+    if (String(assignedTo || "").trim()) body.assignedTo = String(assignedTo).trim();
+    if (comment) body.comment = String(comment);
+
+    const startPath = buildObjectTransitionPath({ resource: "tasks", id: taskId, path, action: "start" });
+    const resp = await call({ path: startPath, method: "POST", body });
+    return {
+      id: taskId,
+      started: true,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function pauseTask({ id, comment = "", path = "/tasks/{id}/pause" } = {}) {
+    const taskId = requireTaskId(id, "pauseTask");
+    const body = {};
+    if (comment) body.comment = String(comment);
+
+    const pausePath = buildObjectTransitionPath({ resource: "tasks", id: taskId, path, action: "pause" });
+    const resp = await call({ path: pausePath, method: "POST", body });
+    return {
+      id: taskId,
+      paused: true,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function finishTask({ id, consumed, comment = "", assignedTo = "", path = "/tasks/{id}/finish" } = {}) {
+    const taskId = requireTaskId(id, "finishTask");
+    const consumedHours = normalizeHours(consumed, "finishTask.consumed", { required: true, allowZero: false });
+    const body = {
+      currentConsumed: consumedHours,
+      finishedDate: formatLocalDateTime(),
+    };
+    if (String(assignedTo || "").trim()) body.assignedTo = String(assignedTo).trim();
+    if (comment) body.comment = String(comment);
+
+    const finishPath = buildObjectTransitionPath({ resource: "tasks", id: taskId, path, action: "finish" });
+    const resp = await call({ path: finishPath, method: "POST", body });
+    return {
+      id: taskId,
+      finished: true,
+      consumed: consumedHours,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function activateTask({ id, left, comment = "", assignedTo = "", path = "/tasks/{id}/activate" } = {}) {
+    const taskId = requireTaskId(id, "activateTask");
+    const body = {};
+    const leftHours = normalizeHours(left, "activateTask.left");
+    if (leftHours !== undefined) body.left = leftHours;
+    if (String(assignedTo || "").trim()) body.assignedTo = String(assignedTo).trim();
+    if (comment) body.comment = String(comment);
+
+    const activatePath = buildObjectTransitionPath({ resource: "tasks", id: taskId, path, action: "activate" });
+    const resp = await call({ path: activatePath, method: "POST", body });
+    return {
+      id: taskId,
+      activated: true,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  async function recordTaskEffort({ id, consumed, left, date, work = "", path = "/tasks/{id}/estimate" } = {}) {
+    const taskId = requireTaskId(id, "recordTaskEffort");
+    const consumedHours = normalizeHours(consumed, "recordTaskEffort.consumed", { required: true, allowZero: false });
+    const leftHours = normalizeHours(left, "recordTaskEffort.left", { required: true });
+    const effortDate = String(date || "").trim() || formatLocalDate();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effortDate)) {
+      throw new Error("recordTaskEffort.date must be YYYY-MM-DD");
+    }
+    const body = {
+      date: effortDate,
+      consumed: consumedHours,
+      left: leftHours,
+      work: String(work || ""),
+    };
+
+    const effortPath = buildObjectTransitionPath({ resource: "tasks", id: taskId, path, action: "estimate" });
+    const resp = await call({ path: effortPath, method: "POST", body });
+    return {
+      id: taskId,
+      recorded: true,
+      ...body,
+      raw: { status: resp.status, data: resp.data },
+    };
+  }
+
+  function requireObjectId(id, fnName, label) {
+    const objectId = Number(id);
+    if (!Number.isFinite(objectId) || objectId < 1) {
+      throw new Error(`${fnName} requires a valid ${label} id`);
+    }
+    return objectId;
+  }
+
+  function escapeHtml(value) {
+    return String(value || "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;");
+  }
+
+  // 用例步骤可能是数组或按步骤 id 索引的对象；分组（group）步骤没有期望结果
+  function normalizeCaseSteps(testCase) {
+    const raw = testCase?.steps;
+    if (!raw || typeof raw !== "object") return [];
+    const list = Array.isArray(raw) ? raw : Object.values(raw);
+    return list
+      .filter((step) => step && typeof step === "object")
+      .map((step, index) => ({
+        id: normalizePositiveInt(step.id) || index + 1,
+        type: String(step.type || "step"),
+        parent: normalizePositiveInt(step.parent),
+        desc: stripHtml(step.desc || step.step || ""),
+        expect: stripHtml(step.expect || ""),
+      }));
+  }
+
+  function matchesTestCaseFilters(testCase, { status, keyword, moduleId }) {
+    const normalizedStatus = normalizeString(status);
+    const normalizedKeyword = normalizeString(keyword);
+    if (normalizedStatus && normalizeString(testCase?.status) !== normalizedStatus) return false;
+    if (moduleId && normalizePositiveInt(testCase?.module) !== moduleId) return false;
+    if (normalizedKeyword) {
+      const searchableText = [testCase?.title, testCase?.precondition, testCase?.keywords, testCase?.type, testCase?.pri]
+        .filter(Boolean)
+        .map((value) => String(value).toLowerCase())
+        .join(" ");
+      if (!searchableText.includes(normalizedKeyword)) return false;
+    }
+    return true;
+  }
+
+  async function listTestCases({
+    productId,
+    moduleId,
+    suiteId,
+    status,
+    keyword,
+    limit = 50,
+    page = 1,
+    path = "",
+    includeRaw = false,
+  } = {}) {
+    const safeLimit = Math.max(1, Math.min(Number(limit) || 50, 200));
+    const safePage = Math.max(1, Number(page) || 1);
+    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
+    const effectiveModuleId = normalizePositiveInt(moduleId);
+    const effectiveSuiteId = normalizePositiveInt(suiteId);
+    if (!effectiveProductId && !effectiveSuiteId && !String(path || "").trim()) {
+      throw new Error("listTestCases requires productId, suiteId or path (or env ZENTAO_PRODUCT_ID)");
+    }
+
+    const candidatePaths = [];
+    const addCandidate = (candidate) => {
+      if (candidate && !candidatePaths.includes(candidate)) candidatePaths.push(candidate);
+    };
+    if (String(path || "").trim()) {
+      addCandidate(buildScopedCollectionPath({
+        path,
+        scopes: { productId: effectiveProductId, suiteId: effectiveSuiteId, moduleId: effectiveModuleId },
+      }));
+    }
+    if (effectiveSuiteId) {
+      addCandidate(`/testsuites/${effectiveSuiteId}/cases`);
+      addCandidate(`/testsuites/${effectiveSuiteId}`);
+    }
+    if (effectiveProductId) addCandidate(`/products/${effectiveProductId}/testcases`);
+
+    const listResult = await fetchListFromCandidates({
+      resource: "testcases",
+      candidatePaths,
+      buildQuery: () => ({ limit: safeLimit, page: safePage, module: effectiveModuleId || undefined }),
+      parseItems: (data) => {
+        const cases = parseObjectListFromResponse(data, "testcases");
+        if (cases.length > 0) return cases;
+        return parseObjectListFromResponse(data, "cases");
+      },
+      matchItem: (testCase) => matchesTestCaseFilters(testCase, { status, keyword, moduleId: effectiveModuleId }),
+    });
+
+    return {
+      total: listResult.total,
+      matched: listResult.matched,
+      page: safePage,
+      limit: safeLimit,
+      productId: effectiveProductId,
+      moduleId: effectiveModuleId,
+      suiteId: effectiveSuiteId,
+      cases: listResult.items.map((testCase) => normalizeTestCase(testCase, { includeRaw })),
+      raw: {
+        status: listResult.status,
+        path: listResult.path,
+        triedPaths: listResult.triedPaths,
+      },
+    };
+  }
+
+  async function getTestCase({ id, path = "/testcases/{id}", includeRaw = false } = {}) {
+    const caseId = requireObjectId(id, "getTestCase", "test case");
+    const detailPath = buildObjectDetailPath({ resource: "testcases", id: caseId, path });
+    const resp = await call({ path: detailPath, method: "GET" });
+    const testCase = parseObjectDetailFromResponse(resp.data, "testcase") ||
+      parseObjectDetailFromResponse(resp.data, "case");
+    if (!testCase) {
+      return {
+        id: caseId,
+        found: false,
+        raw: { status: resp.status, data: resp.data },
+      };
+    }
+    return {
+      id: caseId,
+      found: true,
+      case: normalizeTestCase(testCase, { includeRaw }),
+      steps: normalizeCaseSteps(testCase),
+      raw: { status: resp.status },
+    };
+  }
+
+  async function listTestTasks({
+    productId,
+    projectId,
+    executionId,
+    status,
+    keyword,
+    limit = 20,
+    page = 1,
+    path = "",
+  } = {}) {
+    const safeLimit = Math.max(1, Math.min(Number(limit) || 20, 200));
+    const safePage = Math.max(1, Number(page) || 1);
+    const effectiveProductId = normalizePositiveInt(productId) || normalizePositiveInt(defaultProductId);
+    const effectiveProjectId = normalizePositiveInt(projectId);
+    const effectiveExecutionId = normalizePositiveInt(executionId);
+
+    const candidatePaths = [];
+    const addCandidate = (candidate) => {
+      if (candidate && !candidatePaths.includes(candidate)) candidatePaths.push(candidate);
+    };
+    if (String(path || "").trim()) {
+      addCandidate(buildScopedCollectionPath({
+        path,
+        scopes: { productId: effectiveProductId, projectId: effectiveProjectId, executionId: effectiveExecutionId },
+      }));
+    }
+    if (effectiveExecutionId) addCandidate(`/executions/${effectiveExecutionId}/testtasks`);
+    if (effectiveProjectId) addCandidate(`/projects/${effectiveProjectId}/testtasks`);
+    if (effectiveProductId) addCandidate(`/products/${effectiveProductId}/testtasks`);
+    addCandidate("/testtasks");
+
+    const normalizedStatus = normalizeString(status);
+    const normalizedKeyword = normalizeString(keyword);
+    const listResult = await fetchListFromCandidates({
+      resource: "testtasks",
+      candidatePaths,
+      buildQuery: (candidate) => (candidate === "/testtasks"
+        ? { limit: safeLimit, page: safePage, product: effectiveProductId || undefined }
+        : { limit: safeLimit, page: safePage }),
+      parseItems: (data) => parseObjectListFromResponse(data, "testtasks"),
+      matchItem: (testTask) => {
+        if (normalizedStatus && normalizeString(testTask?.status) !== normalizedStatus) return false;
+        if (normalizedKeyword && !normalizeString(`${testTask?.name || ""} ${testTask?.desc || ""}`).includes(normalizedKeyword)) {
+          return false;
+        }
+        return true;
+      },
+    });
+
+    return {
+      total: listResult.total,
+      matched: listResult.matched,
+      page: safePage,
+      limit: safeLimit,
+      productId: effectiveProductId,
+      projectId: effectiveProjectId,
+      executionId: effectiveExecutionId,
+      testTasks: listResult.items,
+      raw: {
+        status: listResult.status,
+        path: listResult.path,
+        triedPaths: listResult.triedPaths,
+      },
+    };
+  }
+
+  async function listTestRuns({ testTaskId, status, path = "/testtasks/{id}" } = {}) {
+    const taskId = requireObjectId(testTaskId, "listTestRuns", "test task");
+    const detailPath = buildObjectDetailPath({ resource: "testtasks", id: taskId, path });
+    const resp = await call({ path: detailPath, method: "GET" });
+    const testTask = parseObjectDetailFromResponse(resp.data, "testtask");
+    const rawRuns = testTask?.testcases || testTask?.runs || testTask?.cases || resp.data?.testcases || [];
+    const normalizedStatus = normalizeString(status);
+    const runs = (Array.isArray(rawRuns) ? rawRuns : Object.values(rawRuns))
+      .filter((run) => run && typeof run === "object")
+      .map((run) => ({
+        runId: normalizePositiveInt(run.run ?? run.runID ?? run.runId ?? (run.case !== undefined ? run.id : null)),
+        caseId: normalizePositiveInt(run.case ?? run.caseID ?? run.caseId ?? run.id),
+        title: run.title || "",
+        version: run.version ?? run.caseVersion ?? null,
+        assignedTo: run.assignedTo || "",
+        status: run.status || "",
+        lastRunResult: run.lastRunResult || "",
+        lastRunner: run.lastRunner || "",
+        lastRunDate: run.lastRunDate || "",
+      }))
+      .filter((run) => !normalizedStatus || normalizeString(run.lastRunResult || run.status) === normalizedStatus);
+
+    return {
+      testTaskId: taskId,
+      name: testTask?.name || "",
+      status: testTask?.status || "",
+      build: testTask?.build ?? null,
+      total: runs.length,
+      runs,
+      raw: { status: resp.status },
+    };
+  }
+
+  function buildFailedCaseBugSteps({ testCase, stepResults }) {
+    const lines = [];
+    if (testCase.precondition) {
+      lines.push(`<p>[前置条件]</p><p>${escapeHtml(stripHtml(testCase.precondition))}</p>`);
+    }
+    lines.push("<p>[步骤]</p>");
+    stepResults.forEach((step, index) => {
+      lines.push(`<p>${index + 1}. ${escapeHtml(step.desc)}（${step.result}）</p>`);
+    });
+    const expects = stepResults.filter((step) => step.expect);
+    if (expects.length > 0) {
+      lines.push("<p>[期望]</p>");
+      for (const step of expects) lines.push(`<p>${escapeHtml(step.expect)}</p>`);
+    }
+    const reals = stepResults.filter((step) => step.real);
+    if (reals.length > 0) {
+      lines.push("<p>[结果]</p>");
+      for (const step of reals) lines.push(`<p>${escapeHtml(step.real)}</p>`);
+    }
+    return lines.join("\n");
+  }
+
+  async function recordTestResult({
+    caseId,
+    runId,
+    testTaskId,
+    result = "",
+    steps = [],
+    createBug: shouldCreateBug = false,
+    bug = {},
+    path = "/testcases/{caseId}/results",
+    caseDetailPath = "/testcases/{id}",
+    testTaskPath = "/testtasks/{id}",
+  } = {}) {
+    const normalizedCaseId = requireObjectId(caseId, "recordTestResult", "test case");
+    const overallResult = normalizeString(result);
+    if (overallResult && !TEST_STEP_RESULTS.includes(overallResult)) {
+      throw new Error(`recordTestResult.result must be one of ${TEST_STEP_RESULTS.join("/")}`);
+    }
+
+    const detail = await getTestCase({ id: normalizedCaseId, path: caseDetailPath });
+    if (!detail.found) throw new Error(`Test case ${normalizedCaseId} not found`);
+    const testCase = detail.case;
+
+    const overrides = new Map();
+    for (const item of Array.isArray(steps) ? steps : []) {
+      const stepId = normalizePositiveInt(item?.stepId ?? item?.id);
+      const stepResult = normalizeString(item?.result || overallResult || "pass");
+      if (!stepId) throw new Error("recordTestResult.steps[].stepId is required");
+      if (!TEST_STEP_RESULTS.includes(stepResult)) {
+        throw new Error(`recordTestResult.steps[].result must be one of ${TEST_STEP_RESULTS.join("/")}`);
+      }
+      overrides.set(stepId, { result: stepResult, real: String(item?.real || "") });
+    }
+    const executableSteps = detail.steps.filter((step) => step.type !== "group");
+    for (const stepId of overrides.keys()) {
+      if (!executableSteps.some((step) => step.id === stepId)) {
+        throw new Error(`Step ${stepId} does not belong to test case ${normalizedCaseId}`);
+      }
+    }
+    if (!overallResult && overrides.size === 0) {
+      throw new Error("recordTestResult requires result or steps");
+    }
+
+    const stepResults = executableSteps.map((step) => ({
+      ...step,
+      result: overrides.get(step.id)?.result || overallResult || "pass",
+      real: overrides.get(step.id)?.real || "",
+    }));
+    const resultValues = stepResults.length > 0 ? stepResults.map((step) => step.result) : [overallResult || "pass"];
+    const caseResult = resultValues.includes("fail")
+      ? "fail"
+      : resultValues.includes("blocked")
+        ? "blocked"
+        : "pass";
+
+    const body = {
+      case: normalizedCaseId,
+      version: testCase.version ?? undefined,
+      steps: {},
+      reals: {},
+    };
+    if (stepResults.length > 0) {
+      for (const step of stepResults) {
+        body.steps[step.id] = step.result;
+        body.reals[step.id] = step.real;
+      }
+    } else {
+      body.steps[0] = caseResult;
+      body.reals[0] = "";
+    }
+    if (normalizePositiveInt(runId)) body.run = normalizePositiveInt(runId);
+    if (normalizePositiveInt(testTaskId)) body.testtask = normalizePositiveInt(testTaskId);
+
+    const resultPath = buildScopedCollectionPath({
+      path,
+      scopes: { caseId: normalizedCaseId, runId, testTaskId },
+    });
+    if (!resultPath) {
+      throw new Error("recordTestResult path template needs runId/testTaskId that were not provided");
+    }
+    const resp = await call({ path: resultPath, method: "POST", body });
+    const resultId = normalizePositiveInt(resp.data?.id ?? resp.data?.result?.id ?? resp.data?.data?.id);
+
+    const output = {
+      caseId: normalizedCaseId,
+      runId: normalizePositiveInt(runId),
+      testTaskId: normalizePositiveInt(testTaskId),
+      result: caseResult,
+      resultId,
+      steps: stepResults.map(({ id, desc, result: stepResult, real }) => ({ id, desc, result: stepResult, real })),
+      raw: { status: resp.status, path: resultPath },
+    };
+
+    if (shouldCreateBug && caseResult === "fail") {
+      // 结果已写入，建 bug 失败不能让整个调用报错，否则调用方会误以为结果没记上而重复提交
       try {
-        return await call(args);
-      } catch (e) {
-        lastErr = e;
-        if (i === retries) break;
-        await sleep(backoffMs * (i + 1));
+        let openedBuild = bug.openedBuild;
+        if (!openedBuild && normalizePositiveInt(testTaskId)) {
+          // 默认取测试单的版本作为影响版本
+          const testTaskResp = await call({
+            path: buildObjectDetailPath({ resource: "testtasks", id: normalizePositiveInt(testTaskId), path: testTaskPath }),
+            method: "GET",
+          });
+          const testTaskBuild = parseObjectDetailFromResponse(testTaskResp.data, "testtask")?.build;
+          if (testTaskBuild) openedBuild = [String(testTaskBuild)];
+        }
+        output.bug = await createBug({
+          productId: bug.productId || testCase.product?.id,
+          moduleId: bug.moduleId ?? testCase.module?.id,
+          openedBuild,
+          title: bug.title || `[用例#${normalizedCaseId}] ${testCase.title || ""}`.trim(),
+          steps: buildFailedCaseBugSteps({ testCase, stepResults }),
+          severity: bug.severity ?? 3,
+          pri: bug.pri ?? testCase.pri ?? 3,
+          type: bug.type || "codeerror",
+          assignedTo: bug.assignedTo || "",
+          links: {
+            case: normalizedCaseId,
+            caseVersion: testCase.version,
+            result: resultId,
+            testtask: normalizePositiveInt(testTaskId),
+            run: normalizePositiveInt(runId),
+            story: testCase.story?.id,
+          },
+        });
+      } catch (err) {
+        output.bugError = String(err?.message || err);
       }
     }
-    throw lastErr;
+
+    return output;
   }
 
   return {
+    account: auth.account,
     getToken,
     call,
-    callWithRetry,
+    resolveUrl: normalizeResourceUrl,
+    planWrites,
     listMyProjects,
+    getProjectDetail,
+    describeInstance,
     getMyBugs,
+    searchBugs,
     getBugDetail,
+    getBugAttachment,
+    getBugHistory,
+    attachFileToBug,
+    uploadFile,
+    createBug,
     resolveBug,
     closeBug,
+    activateBug,
+    undoAction,
+    undoLastAction,
+    assignBug,
+    editBug,
     verifyBug,
     commentBug,
     batchResolveMyBugs,
+    getMyStories,
+    getStoryDetail,
+    createStory,
+    changeStory,
+    reviewStory,
+    closeStory,
+    getMyTasks,
+    getTaskDetail,
+    startTask,
+    pauseTask,
+    finishTask,
+    activateTask,
+    recordTaskEffort,
+    listTestCases,
+    getTestCase,
+    listTestTasks,
+    listTestRuns,
+    recordTestResult,
   };
 }
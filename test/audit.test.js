@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { createAuditLog } from "../src/audit.js";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+async function tempLogFile(t) {
+  const dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), "zentao-audit-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return nodePath.join(dir, "audit.jsonl");
+}
+
+test("默认关闭：不写文件，查询时报错", async (t) => {
+  const logFile = await tempLogFile(t);
+  const audit = createAuditLog({ logFile });
+  assert.equal(audit.enabled, false);
+  assert.equal(await audit.record({ instance: "default", account: "me", method: "POST", path: "/bugs/1/resolve", ok: true }), null);
+  await assert.rejects(fs.stat(logFile), { code: "ENOENT" });
+  await assert.rejects(audit.query(), /Audit log is disabled/);
+});
+
+test("记录工具上下文、受影响的 bug，并隐去密码类参数", async (t) => {
+  const audit = createAuditLog({ enabled: true, logFile: await tempLogFile(t) });
+  await audit.runWithContext({ tool: "resolve_bug", args: { id: 7, password: "pw", note: "x".repeat(3000) } }, () =>
+    audit.record({ instance: "default", account: "me", method: "POST", path: "/bugs/7/resolve", status: 200, ok: true })
+  );
+
+  const { entries } = await audit.query();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].tool, "resolve_bug");
+  assert.deepEqual(entries[0].bugIds, [7]);
+  assert.equal(entries[0].args.password, "***");
+  assert.match(entries[0].args.note, /\(3000 chars\)$/);
+});
+
+test("超过 maxBytes 时轮转，只保留 maxFiles 个旧文件，查询跨文件按新到旧返回", async (t) => {
+  const logFile = await tempLogFile(t);
+  const audit = createAuditLog({ enabled: true, logFile, maxBytes: 400, maxFiles: 2 });
+  for (let id = 1; id <= 12; id += 1) {
+    await audit.record({ instance: "default", account: "me", method: "POST", path: `/bugs/${id}/close`, status: 200, ok: true });
+  }
+
+  const files = (await fs.readdir(nodePath.dirname(logFile))).sort();
+  assert.deepEqual(files, ["audit.jsonl", "audit.jsonl.1", "audit.jsonl.2"]);
+  for (const file of files) {
+    assert.ok((await fs.stat(nodePath.join(nodePath.dirname(logFile), file))).size <= 400);
+  }
+
+  const { entries, hasMore } = await audit.query({ limit: 500 });
+  assert.equal(hasMore, false);
+  assert.ok(entries.length < 12);
+  assert.equal(entries[0].bugIds[0], 12);
+  const ids = entries.map((entry) => entry.bugIds[0]);
+  assert.deepEqual(ids, [...ids].sort((a, b) => b - a));
+
+  const limited = await audit.query({ limit: 2 });
+  assert.deepEqual(limited.entries.map((entry) => entry.bugIds[0]), [12, 11]);
+  assert.equal(limited.hasMore, true);
+});
+
+test("scopes 只返回调用方可见的实例与账号的记录", async (t) => {
+  const audit = createAuditLog({ enabled: true, logFile: await tempLogFile(t) });
+  await audit.record({ instance: "default", account: "me", method: "POST", path: "/bugs/1/resolve", ok: true });
+  await audit.record({ instance: "default", account: "other", method: "POST", path: "/bugs/2/resolve", ok: true });
+  await audit.record({ instance: "staging", account: "me", method: "PUT", path: "/bugs/3", ok: false, status: 500, error: "boom" });
+
+  const scoped = await audit.query({ scopes: [{ instance: "default", account: "me" }] });
+  assert.deepEqual(scoped.entries.map((entry) => entry.bugIds[0]), [1]);
+
+  const both = await audit.query({ scopes: [{ instance: "default", account: "me" }, { instance: "staging", account: "me" }] });
+  assert.deepEqual(both.entries.map((entry) => entry.bugIds[0]), [3, 1]);
+
+  assert.deepEqual((await audit.query({ scopes: [] })).entries, []);
+  assert.deepEqual((await audit.query({ failedOnly: true })).entries.map((entry) => entry.instance), ["staging"]);
+  assert.deepEqual((await audit.query({ method: "put" })).entries.map((entry) => entry.bugIds[0]), [3]);
+  assert.deepEqual((await audit.query({ bugId: 2 })).entries.map((entry) => entry.account), ["other"]);
+  await assert.rejects(audit.query({ since: "yesterday" }), /since must be an ISO date/);
+});
+
+test("禅道客户端的写请求写入审计日志，读请求不写", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const audit = createAuditLog({ enabled: true, logFile: await tempLogFile(t) });
+  const zentao = mock.client({ auditLog: audit });
+
+  await audit.runWithContext({ tool: "resolve_bug", args: { id: 1 } }, () => zentao.resolveBug({ id: 1 }));
+
+  const { entries } = await audit.query();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].method, "POST");
+  assert.equal(entries[0].path, "/api.php/v1/bugs/1/resolve");
+  assert.deepEqual(entries[0].bugIds, [1]);
+  assert.equal(entries[0].tool, "resolve_bug");
+  assert.equal(entries[0].instance, "default");
+  assert.equal(entries[0].account, "me");
+  assert.equal(entries[0].ok, true);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+async function tempCacheFile(t) {
+  const dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), "zentao-tokens-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return nodePath.join(dir, "tokens.json");
+}
+
+test("并发的首次请求只登录一次", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const statuses = await Promise.all([1, 2, 3, 4, 5].map(() => zentao.call({ path: "/bugs/1" }).then((resp) => resp.status)));
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200]);
+  assert.equal(mock.state.logins, 1);
+});
+
+test("Token 失效返回 401 时重新登录一次并重发请求", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  await zentao.call({ path: "/bugs/1" });
+  mock.state.tokens.clear();
+
+  const statuses = await Promise.all([1, 2, 3].map(() => zentao.call({ path: "/bugs/1" }).then((resp) => resp.status)));
+  assert.deepEqual(statuses, [200, 200, 200]);
+  assert.equal(mock.state.logins, 2);
+  const retried = mock.requests.filter((request) => request.path === "/api.php/v1/bugs/1").map((request) => request.headers.token);
+  assert.deepEqual(retried.slice(1, 4), ["tok-1", "tok-1", "tok-1"]);
+  assert.ok(retried.slice(4).every((token) => token === "tok-2"));
+});
+
+test("重新登录后仍然 401 时报错，不会反复登录", async (t) => {
+  const mock = await startMockZenTao({
+    bugs: makeBugs(1),
+    handler: ({ url, json }) => url.pathname.endsWith("/bugs/1") && json(401, { error: "Unauthorized" }),
+  });
+  t.after(() => mock.close());
+
+  await assert.rejects(mock.client().call({ path: "/bugs/1" }), (err) => err.status === 401);
+  assert.equal(mock.state.logins, 2);
+});
+
+test("Token 缓存文件：权限 0600，重启后复用，账号或密码不符时不复用", async (t) => {
+  const tokenCacheFile = await tempCacheFile(t);
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+
+  assert.equal((await mock.client({ tokenCacheFile }).getToken()).source, "login");
+  assert.equal((await fs.stat(tokenCacheFile)).mode & 0o777, 0o600);
+  const cached = JSON.parse(await fs.readFile(tokenCacheFile, "utf8"));
+  const entry = cached[`${mock.baseUrl}#me`];
+  assert.equal(entry.token, "tok-1");
+  assert.ok(!JSON.stringify(cached).includes("secret"));
+
+  assert.deepEqual(await mock.client({ tokenCacheFile }).getToken(), { token: "tok-1", source: "file" });
+  assert.equal(mock.state.logins, 1);
+
+  const wrongPassword = await mock.client({ tokenCacheFile, auth: { account: "me", password: "other" } }).getToken();
+  assert.equal(wrongPassword.source, "login");
+  const otherAccount = await mock.client({ tokenCacheFile, auth: { account: "qa", password: "secret" } }).getToken();
+  assert.equal(otherAccount.source, "login");
+  assert.equal(mock.state.logins, 3);
+});
+
+test("其他用户可读的 Token 缓存文件被忽略", async (t) => {
+  const tokenCacheFile = await tempCacheFile(t);
+  const mock = await startMockZenTao();
+  t.after(() => mock.close());
+
+  await mock.client({ tokenCacheFile }).getToken();
+  await fs.chmod(tokenCacheFile, 0o644);
+  assert.equal((await mock.client({ tokenCacheFile }).getToken()).source, "login");
+  assert.equal(mock.state.logins, 2);
+});
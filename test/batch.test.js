@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+// 解决接口延迟响应，统计同时在处理的请求数；返回 false 交给默认实现改状态
+function slowResolve(delayMs) {
+  const stats = { inFlight: 0, maxInFlight: 0, startedAt: [] };
+  const handler = async ({ req, url }) => {
+    if (req.method !== "POST" || !url.pathname.endsWith("/resolve")) return false;
+    stats.inFlight += 1;
+    stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+    stats.startedAt.push(Date.now());
+    await sleep(delayMs);
+    stats.inFlight -= 1;
+    return false;
+  };
+  return { stats, handler };
+}
+
+test("批量解决按 batchConcurrency 限制并发，并逐个上报进度", async (t) => {
+  const { stats, handler } = slowResolve(40);
+  const mock = await startMockZenTao({ bugs: makeBugs(6), handler });
+  t.after(() => mock.close());
+  const zentao = mock.client({ batchConcurrency: 2, batchRatePerSecond: 0 });
+
+  const progress = [];
+  const result = await zentao.batchResolveMyBugs({ maxItems: 10, onProgress: (update) => progress.push(update) });
+  assert.equal(result.resolved, 6);
+  assert.equal(stats.maxInFlight, 2);
+  assert.deepEqual(progress.map((update) => update.completed), [1, 2, 3, 4, 5, 6]);
+  assert.ok(progress.every((update) => update.total === 6 && /^resolved bug #\d+ \(\d\/6\)$/.test(update.message)));
+  assert.ok([...mock.state.bugs.values()].every((bug) => bug.status === "resolved"));
+});
+
+test("batchRatePerSecond 拉开相邻写请求的间隔", async (t) => {
+  const { stats, handler } = slowResolve(0);
+  const mock = await startMockZenTao({ bugs: makeBugs(4), handler });
+  t.after(() => mock.close());
+  const zentao = mock.client({ batchConcurrency: 4, batchRatePerSecond: 20 });
+
+  await zentao.batchResolveMyBugs({ maxItems: 10 });
+  assert.equal(stats.startedAt.length, 4);
+  // 20 次/秒即间隔 50ms，4 个请求至少跨 150ms（留出计时误差）
+  assert.ok(stats.startedAt.at(-1) - stats.startedAt[0] >= 130);
+});
+
+test("取消后不再开始新的条目，已完成的保留结果", async (t) => {
+  const { handler } = slowResolve(30);
+  const mock = await startMockZenTao({ bugs: makeBugs(6), handler });
+  t.after(() => mock.close());
+  const zentao = mock.client({ batchConcurrency: 1, batchRatePerSecond: 0 });
+
+  const controller = new AbortController();
+  const result = await zentao.batchResolveMyBugs({
+    maxItems: 10,
+    signal: controller.signal,
+    onProgress: ({ completed }) => completed === 2 && controller.abort(),
+  });
+  assert.equal(result.cancelled, true);
+  assert.equal(result.resolved, 2);
+  assert.equal(result.skipped, 4);
+  assert.deepEqual(result.skippedIds, [3, 4, 5, 6]);
+  assert.equal(mock.state.bugs.get(3).status, "active");
+});
+
+test("stopOnError 在第一个失败后停止其余条目", async (t) => {
+  const mock = await startMockZenTao({
+    bugs: makeBugs(4),
+    handler: ({ req, url, json }) => req.method === "POST" && url.pathname.endsWith("/bugs/2/resolve") && json(400, { error: "locked" }),
+  });
+  t.after(() => mock.close());
+  const zentao = mock.client({ batchConcurrency: 1, batchRatePerSecond: 0 });
+
+  const result = await zentao.batchResolveMyBugs({ maxItems: 10, stopOnError: true });
+  assert.equal(result.stoppedOnError, true);
+  assert.equal(result.resolved, 1);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(result.skippedIds, [3, 4]);
+});
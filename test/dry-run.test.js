@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+const writeRequests = (mock) => mock.requests.filter((request) => request.method !== "GET" && !request.path.endsWith("/tokens"));
+
+test("planWrites 只规划写请求，不发给禅道", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(3) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const plan = await zentao.planWrites(() => zentao.resolveBug({ id: 2, comment: "done" }));
+  assert.equal(plan.dryRun, true);
+  assert.deepEqual(
+    plan.planned.map(({ method, path, body }) => ({ method, path, body })),
+    [{ method: "POST", path: "/bugs/2/resolve", body: { resolution: "fixed", comment: "done" } }]
+  );
+  assert.deepEqual(plan.affected, [{ type: "bug", id: 2, title: "bug 2" }]);
+  assert.equal(plan.incomplete, undefined);
+  assert.deepEqual(writeRequests(mock), []);
+  assert.equal(mock.state.bugs.get(2).status, "active");
+});
+
+test("批量解决的预演列出每个 bug 的写请求", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(5) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const plan = await zentao.planWrites(() => zentao.batchResolveMyBugs({ maxItems: 3 }));
+  assert.deepEqual(plan.planned.map((request) => request.path), ["/bugs/1/resolve", "/bugs/2/resolve", "/bugs/3/resolve"]);
+  assert.deepEqual(plan.affected.map((item) => item.id), [1, 2, 3]);
+  assert.deepEqual(writeRequests(mock), []);
+});
+
+test("编辑 bug 的预演只提交有变化的字段", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const plan = await zentao.planWrites(() => zentao.editBug({ id: 1, fields: { severity: 1, title: "bug 1" } }));
+  assert.deepEqual(plan.planned.map(({ method, path, body }) => ({ method, path, body })), [
+    { method: "PUT", path: "/bugs/1", body: { severity: 1 } },
+  ]);
+  assert.equal(mock.state.bugs.get(1).severity, 3);
+});
+
+test("写请求之后的步骤失败时返回已规划部分并标记 incomplete", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const plan = await zentao.planWrites(async () => {
+    await zentao.resolveBug({ id: 1 });
+    throw new Error("needs the response");
+  });
+  assert.equal(plan.planned.length, 1);
+  assert.match(plan.incomplete, /needs the response/);
+});
+
+test("还没有规划出写请求就失败时直接抛出", async (t) => {
+  const mock = await startMockZenTao();
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  await assert.rejects(zentao.planWrites(() => zentao.resolveBug({ id: 0 })), /valid bug id/);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+const writeRequests = (mock) => mock.requests.filter((request) => request.method !== "GET" && !request.path.endsWith("/tokens"));
+
+test("editBug 只提交有变化的字段并返回字段级差异", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().editBug({ id: 1, fields: { severity: 1, pri: 3, title: "bug 1", deadline: "2026-11-01" } });
+  assert.equal(result.changed, true);
+  assert.deepEqual(
+    result.changes.map(({ field, before, after }) => ({ field, before, after })),
+    [
+      { field: "severity", before: 3, after: 1 },
+      { field: "deadline", before: null, after: "2026-11-01" },
+    ]
+  );
+  assert.deepEqual(writeRequests(mock).map(({ method, path, body }) => ({ method, path, body })), [
+    { method: "PUT", path: "/api.php/v1/bugs/1", body: { severity: 1, deadline: "2026-11-01" } },
+  ]);
+  assert.equal(mock.state.bugs.get(1).severity, 1);
+});
+
+test("editBug 没有变化时不发写请求", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().editBug({ id: 1, fields: { severity: 3, title: "bug 1" } });
+  assert.equal(result.changed, false);
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(writeRequests(mock), []);
+});
+
+test("editBug 在请求前校验字段", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  await assert.rejects(zentao.editBug({ id: 1, fields: { status: "closed" } }), /does not support fields: status/);
+  await assert.rejects(zentao.editBug({ id: 1, fields: { severity: 5 } }), /severity must be an integer between 1 and 4/);
+  await assert.rejects(zentao.editBug({ id: 1, fields: { deadline: "next week" } }), /deadline must be YYYY-MM-DD/);
+  await assert.rejects(zentao.editBug({ id: 99, fields: { severity: 1 } }), /404/);
+  assert.deepEqual(writeRequests(mock), []);
+});
+
+test("assignBug 已指派给同一人时不发请求，否则记录前后指派人", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const unchanged = await zentao.assignBug({ id: 1, assignedTo: "me" });
+  assert.equal(unchanged.changed, false);
+  assert.deepEqual(writeRequests(mock), []);
+
+  const assigned = await zentao.assignBug({ id: 1, assignedTo: "dev2", comment: "交给你了" });
+  assert.equal(assigned.changed, true);
+  assert.deepEqual(assigned.before, { assignedTo: "me" });
+  assert.deepEqual(assigned.after, { assignedTo: "dev2" });
+  assert.deepEqual(writeRequests(mock).map((request) => request.body), [{ assignedTo: "dev2", comment: "交给你了" }]);
+  assert.equal(mock.state.bugs.get(1).assignedTo, "dev2");
+});
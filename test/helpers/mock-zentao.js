@@ -0,0 +1,114 @@
+import http from "node:http";
+import { createZenTaoClient } from "../../src/zentao.js";
+
+/**
+ * 本地模拟的禅道 REST 服务，只实现测试用到的接口：登录、bug 列表/详情/编辑与状态流转。
+ * handler 返回 true 表示已自行响应，可用来覆盖某个接口或注入错误；requests 记录收到的每个请求。
+ */
+export async function startMockZenTao({ bugs = [], handler, ignorePage = false } = {}) {
+  const state = {
+    bugs: new Map(bugs.map((bug) => [Number(bug.id), { ...bug }])),
+    tokens: new Set(),
+    logins: 0,
+    nextId: 1000,
+  };
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString("utf8");
+    const url = new URL(req.url, "http://mock.local");
+    const body = text ? JSON.parse(text) : {};
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+    const json = (status, data) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(data));
+      return true;
+    };
+    if (handler && (await handler({ req, url, body, json, state }))) return;
+
+    const path = url.pathname.replace(/^\/api\.php\/v1/, "");
+    if (path === "/tokens" && req.method === "POST") {
+      state.logins += 1;
+      const token = `tok-${state.logins}`;
+      state.tokens.add(token);
+      return json(201, { token });
+    }
+    if (!state.tokens.has(req.headers.token)) return json(401, { error: "Unauthorized" });
+
+    let match;
+    if ((match = /^\/bugs\/(\d+)$/.exec(path))) {
+      const bug = state.bugs.get(Number(match[1]));
+      if (!bug) return json(404, { error: "Not Found" });
+      if (req.method === "PUT") Object.assign(bug, body);
+      return json(200, bug);
+    }
+    if ((match = /^\/bugs\/(\d+)\/(resolve|close|activate|assign|comment)$/.exec(path)) && req.method === "POST") {
+      const bug = state.bugs.get(Number(match[1]));
+      if (!bug) return json(404, { error: "Not Found" });
+      const action = match[2];
+      if (action === "resolve") Object.assign(bug, { status: "resolved", resolution: body.resolution, assignedTo: bug.openedBy || "qa" });
+      if (action === "close") Object.assign(bug, { status: "closed", assignedTo: "closed" });
+      if (action === "activate") Object.assign(bug, { status: "active", resolution: "", ...(body.assignedTo ? { assignedTo: body.assignedTo } : {}) });
+      if (action === "assign") bug.assignedTo = body.assignedTo;
+      return json(200, bug);
+    }
+    if (/^\/(products\/\d+\/bugs|bugs|my\/bug)$/.test(path) && req.method === "GET") {
+      let all = [...state.bugs.values()];
+      // 与真实禅道一致：“我的 bug”端点忽略筛选与排序参数
+      if (!path.startsWith("/my/")) {
+        const { status, assignedTo, order } = Object.fromEntries(url.searchParams);
+        if (status) all = all.filter((bug) => bug.status === status);
+        if (assignedTo) all = all.filter((bug) => bug.assignedTo === assignedTo);
+        if (order === "id_desc") all.reverse();
+      }
+      const limit = Number(url.searchParams.get("limit") || 20);
+      const page = ignorePage ? 1 : Number(url.searchParams.get("page") || 1);
+      return json(200, { page, total: all.length, limit, bugs: all.slice((page - 1) * limit, page * limit) });
+    }
+    return json(404, { error: `Not Found: ${url.pathname}` });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    state,
+    requests,
+    // 与 config.js 的 toClientConfig 产出的字段一致，overrides 覆盖个别选项
+    client(overrides = {}) {
+      return createZenTaoClient({
+        instance: "default",
+        baseUrl,
+        apiPrefix: "/api.php/v1",
+        tokenPath: "/api.php/v1/tokens",
+        tokenTtlMs: 60_000,
+        timeoutMs: 5_000,
+        defaultProductId: 1,
+        auth: { account: "me", password: "secret" },
+        ...overrides,
+      });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** 生成 count 个指派给 me 的 bug，id 从 startId 开始。 */
+export function makeBugs(count, { startId = 1, status = "active" } = {}) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: startId + index,
+    title: `bug ${startId + index}`,
+    status,
+    assignedTo: "me",
+    openedBy: "qa",
+    severity: 3,
+    pri: 3,
+    product: 1,
+  }));
+}
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { startHttpServer } from "../src/http.js";
+
+const TOKEN = "test-token";
+
+function createSession() {
+  const server = new Server({ name: "zentao-test", version: "0.0.0" }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: "ping", description: "ping", inputSchema: { type: "object", properties: {} } }],
+  }));
+  return server;
+}
+
+async function startServer(t, options = {}) {
+  const server = await startHttpServer({ port: 0, authTokens: [TOKEN], createSession, ...options });
+  t.after(() => server.close());
+  return server;
+}
+
+// fetch 不允许改 Host 头，这里直接用 http.request
+function request(port, { method = "GET", path = "/healthz", headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port, method, path, headers }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null }));
+    });
+    req.on("error", reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+test("非回环地址且未配置客户端认证时拒绝启动", async () => {
+  await assert.rejects(startHttpServer({ host: "0.0.0.0", port: 0, createSession }), /Refusing to listen on 0\.0\.0\.0/);
+});
+
+test("healthz 不需要认证", async (t) => {
+  const { port } = await startServer(t);
+  const res = await request(port);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true, sessions: 0 });
+});
+
+test("回环地址上拒绝非回环的 Host 与 Origin（防 DNS 重绑定）", async (t) => {
+  const { port } = await startServer(t);
+
+  assert.equal((await request(port, { headers: { host: `localhost:${port}` } })).status, 200);
+  const badHost = await request(port, { headers: { host: `evil.example:${port}` } });
+  assert.equal(badHost.status, 403);
+  assert.match(badHost.body.error, /Host evil\.example:\d+ is not allowed/);
+
+  assert.equal((await request(port, { headers: { origin: `http://localhost:${port}` } })).status, 200);
+  const badOrigin = await request(port, { headers: { origin: "https://evil.example" } });
+  assert.equal(badOrigin.status, 403);
+  assert.match(badOrigin.body.error, /Origin https:\/\/evil\.example is not allowed/);
+
+  // Host/Origin 校验先于认证，带正确令牌也不放行
+  const withToken = await request(port, {
+    method: "POST",
+    path: "/mcp",
+    headers: { origin: "https://evil.example", authorization: `Bearer ${TOKEN}` },
+  });
+  assert.equal(withToken.status, 403);
+});
+
+test("allowedHosts 与 allowedOrigins 放行配置的域名", async (t) => {
+  const { port } = await startServer(t, { allowedHosts: ["mcp.example"], allowedOrigins: ["https://app.example/"] });
+
+  assert.equal((await request(port, { headers: { host: `mcp.example:${port}` } })).status, 200);
+  assert.equal((await request(port, { headers: { host: `localhost:${port}` } })).status, 403);
+  assert.equal((await request(port, { headers: { host: "mcp.example", origin: "https://app.example" } })).status, 200);
+  assert.equal((await request(port, { headers: { host: "mcp.example", origin: "https://other.example" } })).status, 403);
+});
+
+test("MCP 端点需要 Bearer 或 X-MCP-Secret 令牌", async (t) => {
+  const { port } = await startServer(t);
+
+  const missing = await request(port, { method: "POST", path: "/mcp", body: {} });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers["www-authenticate"], "Bearer");
+  assert.equal((await request(port, { method: "POST", path: "/mcp", headers: { authorization: "Bearer wrong" }, body: {} })).status, 401);
+  assert.equal((await request(port, { method: "GET", path: "/sse", headers: { "x-mcp-secret": "wrong" } })).status, 401);
+
+  // 认证通过后才会检查请求本身：非 initialize 且没有会话 ID 的请求返回 400
+  const bearer = await request(port, { method: "POST", path: "/mcp", headers: { authorization: `Bearer ${TOKEN}` }, body: {} });
+  assert.equal(bearer.status, 400);
+  const secret = await request(port, { method: "POST", path: "/mcp", headers: { "x-mcp-secret": TOKEN }, body: {} });
+  assert.equal(secret.status, 400);
+});
+
+test("带令牌的 MCP 客户端可以建立 Streamable HTTP 会话", async (t) => {
+  const server = await startServer(t);
+  const transport = new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${server.port}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } },
+  });
+  const client = new Client({ name: "zentao-http-test", version: "0.0.0" });
+  await client.connect(transport);
+  t.after(() => client.close());
+
+  const { tools } = await client.listTools();
+  assert.deepEqual(tools.map((tool) => tool.name), ["ping"]);
+  assert.equal(server.sessions.size, 1);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+const bugListRequests = (mock) => mock.requests.filter((request) => request.method === "GET" && request.path.endsWith("/bugs"));
+
+test("getMyBugs 默认只取一页", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(250) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().getMyBugs({});
+  assert.equal(result.bugs.length, 20);
+  assert.equal(result.pagesFetched, 1);
+  assert.equal(result.truncated, true);
+  assert.equal(result.total, 250);
+  assert.deepEqual(bugListRequests(mock).map((request) => request.query.page), ["1"]);
+});
+
+test("maxItems 逐页拉取，凑满上限即停止", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(250) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().getMyBugs({ maxItems: 120, limit: 50 });
+  assert.equal(result.bugs.length, 120);
+  assert.equal(result.maxItems, 120);
+  assert.equal(result.truncated, true);
+  assert.deepEqual(bugListRequests(mock).map((request) => request.query.page), ["1", "2", "3"]);
+  assert.deepEqual(result.bugs.map((bug) => bug.id), makeBugs(120).map((bug) => bug.id));
+});
+
+test("all=true 取完全部结果且不标记截断", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(130) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().getMyBugs({ all: true, limit: 50 });
+  assert.equal(result.bugs.length, 130);
+  assert.equal(result.truncated, false);
+  assert.equal(bugListRequests(mock).length, 3);
+});
+
+test("服务端忽略 page 参数时停止翻页并标记 pagingIgnored", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(250), ignorePage: true });
+  t.after(() => mock.close());
+
+  const result = await mock.client().getMyBugs({ all: true, limit: 50 });
+  assert.equal(result.pagingIgnored, true);
+  assert.equal(result.truncated, true);
+  assert.equal(result.bugs.length, 50);
+  assert.equal(new Set(result.bugs.map((bug) => bug.id)).size, 50);
+  assert.equal(bugListRequests(mock).length, 2);
+});
+
+test("orderBy 不会为排序扫完全部数据，截断时标记 orderPartial", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(250) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().getMyBugs({ maxItems: 10, limit: 5, orderBy: "id_desc" });
+  assert.equal(bugListRequests(mock).length, 2);
+  assert.ok(bugListRequests(mock).every((request) => request.query.order === "id_desc"));
+  assert.equal(result.orderBy, "id_desc");
+  assert.equal(result.orderPartial, true);
+  assert.deepEqual(result.bugs.map((bug) => bug.id), [250, 249, 248, 247, 246, 245, 244, 243, 242, 241]);
+});
+
+test("searchBugs 默认最多收集 100 条且不按指派人过滤", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(250) });
+  t.after(() => mock.close());
+
+  const result = await mock.client().searchBugs({});
+  assert.equal(result.bugs.length, 100);
+  assert.equal(result.maxItems, 100);
+  assert.equal(result.assignedTo, null);
+  assert.ok(bugListRequests(mock).every((request) => request.query.assignedTo === undefined));
+});
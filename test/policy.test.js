@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compilePathPattern, createToolPolicy } from "../src/policy.js";
+
+test("路径模式：* 只匹配一段，** 匹配多段", () => {
+  assert.ok(compilePathPattern("/bugs/*").test("/bugs/12"));
+  assert.ok(!compilePathPattern("/bugs/*").test("/bugs/12/resolve"));
+  assert.ok(compilePathPattern("products/*/bugs").test("/products/1/bugs"));
+  assert.ok(compilePathPattern("/my/**").test("/my/bug/assigned"));
+  assert.ok(compilePathPattern("/bugs/*").test("/bugs/12/"));
+  assert.ok(!compilePathPattern("/bugs.json").test("/bugsxjson"));
+});
+
+test("call 路径先规范化再匹配：.. 、重复斜杠、查询串与绝对地址", () => {
+  const policy = createToolPolicy({ callAllowedPaths: ["/bugs/*", "/my/**"] });
+  const allowed = (path) => {
+    try {
+      policy.assertCallAllowed({ method: "GET", path, apiPrefix: "/api.php/v1" });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  assert.ok(allowed("/bugs/1"));
+  assert.ok(allowed("bugs/1"));
+  assert.ok(allowed("//bugs/1"));
+  assert.ok(allowed("/bugs/1?fields=title"));
+  assert.ok(allowed("/my/bug"));
+  assert.ok(allowed("http://zentao.local/api.php/v1/bugs/1"));
+  assert.ok(!allowed("/bugs/../users/1"));
+  assert.ok(!allowed("/bugs/%2e%2e/users"));
+  assert.ok(!allowed("/my/../users"));
+  assert.ok(!allowed("/users?next=/bugs/1"));
+  assert.ok(!allowed("http://zentao.local/api.php/v1/users"));
+  assert.throws(
+    () => policy.assertCallAllowed({ path: "/bugs/../users/1" }),
+    /call path \/users\/1 is not allowed by server policy/
+  );
+});
+
+test("只读模式只放行读方法，且隐藏写工具", () => {
+  const policy = createToolPolicy({ readOnly: true, callAllowedMethods: ["GET", "POST"] });
+  assert.doesNotThrow(() => policy.assertCallAllowed({ method: "get", path: "/bugs" }));
+  assert.throws(() => policy.assertCallAllowed({ method: "POST", path: "/bugs" }), /method POST is not allowed by server policy \(allowed: GET\)/);
+  assert.equal(policy.isToolAllowed("call"), true);
+  assert.equal(policy.isToolAllowed("resolve_bug"), false);
+  assert.throws(() => policy.assertToolAllowed("resolve_bug"), /read-only/);
+});
+
+test("工具白名单与黑名单", () => {
+  const policy = createToolPolicy({ allowedTools: ["get_*", "call"], deniedTools: ["get_bug_history"] });
+  const tools = [{ name: "get_my_bugs" }, { name: "get_bug_history" }, { name: "resolve_bug" }, { name: "call" }];
+  assert.deepEqual(policy.filterTools(tools).map((tool) => tool.name), ["get_my_bugs", "call"]);
+  assert.throws(() => policy.assertToolAllowed("resolve_bug"), /not in the allowed tool list/);
+  assert.throws(() => policy.assertToolAllowed("get_bug_history"), /in the denied tool list/);
+});
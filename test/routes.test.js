@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { createRouteMap, toRouteTemplate } from "../src/routes.js";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+async function tempCacheFile(t) {
+  const dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), "zentao-routes-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return nodePath.join(dir, "routes.json");
+}
+
+// 部分 bug 已解决、部分指派给别人，探测 status/assignedTo 参数时才有可比较的样本
+function mixedBugs(count) {
+  return makeBugs(count).map((bug, index) => ({
+    ...bug,
+    status: index % 3 ? "active" : "resolved",
+    assignedTo: index % 2 ? "me" : "qa",
+  }));
+}
+
+function withVersion(version, handler) {
+  return async (context) => {
+    const { url, json } = context;
+    if (url.pathname === "/index.php" && url.searchParams.get("mode") === "getconfig") return json(200, { version });
+    return handler ? handler(context) : false;
+  };
+}
+
+test("路径归一为模板", () => {
+  assert.equal(toRouteTemplate("/products/3/bugs?limit=20"), "/products/{id}/bugs");
+  assert.equal(toRouteTemplate("/my/bug"), "/my/bug");
+});
+
+test("能力表的读写都必须带资源名", () => {
+  const routeMap = createRouteMap({ baseUrl: "http://zentao.local" });
+  assert.throws(() => routeMap.recordCall(undefined, "/bugs", { status: 200 }), /routeMap\.recordCall requires a resource name/);
+  assert.throws(() => routeMap.filterCandidates("", ["/bugs"]), /routeMap\.filterCandidates requires a resource name/);
+});
+
+test("日常调用：无 id 的路径 404 记为不可用并在之后跳过，带 id 的路径不记", () => {
+  const routeMap = createRouteMap({ baseUrl: "http://zentao.local" });
+  routeMap.recordCall("bugs", "/my/bugs", { status: 404, error: "Not Found" });
+  routeMap.recordCall("bugs", "/products/9/bugs", { status: 404, error: "Not Found" });
+  routeMap.recordCall("bugs", "/bugs", { status: 500, error: "boom" });
+  routeMap.recordCall("bugs", "/my/bug", { status: 200 });
+
+  const { paths } = routeMap.snapshot().resources.bugs;
+  assert.equal(paths["/my/bugs"].supported, false);
+  assert.equal(paths["/my/bug"].supported, true);
+  assert.equal(paths["/products/{id}/bugs"], undefined);
+  assert.equal(paths["/bugs"], undefined);
+
+  assert.deepEqual(routeMap.filterCandidates("bugs", ["/products/1/bugs", "/my/bugs", "/my/bug"]), {
+    paths: ["/products/1/bugs", "/my/bug"],
+    skipped: ["/my/bugs"],
+  });
+  // 各资源分开记录
+  assert.deepEqual(routeMap.filterCandidates("stories", ["/my/bugs"]).skipped, []);
+  // 候选路径全部已知不可用时原样返回
+  assert.deepEqual(routeMap.filterCandidates("bugs", ["/my/bugs"]), { paths: ["/my/bugs"], skipped: [] });
+});
+
+test("describeInstance 探测可用端点与生效的查询参数", async (t) => {
+  const mock = await startMockZenTao({
+    bugs: mixedBugs(30),
+    handler: withVersion("18.5", ({ url, json }) => url.pathname.endsWith("/products/1/bugs") && json(404, { error: "Not Found" })),
+  });
+  t.after(() => mock.close());
+
+  const described = await mock.client().describeInstance();
+  assert.equal(described.version, "18.5");
+  assert.equal(described.cached, false);
+  const { bugs, projects } = described.resources;
+  assert.equal(bugs.preferredPath, "/bugs");
+  // 带 id 的模板用默认产品探测，404 只能说明该产品不存在
+  assert.equal(bugs.paths["/products/{id}/bugs"].supported, null);
+  assert.equal(bugs.paths["/bugs"].supported, true);
+  assert.equal(bugs.paths["/my/bugs"].supported, false);
+  assert.deepEqual(bugs.params["/bugs"], { limit: true, page: true, status: true, assignedTo: true, order: true });
+  assert.deepEqual(bugs.params["/my/bug"], { limit: true, page: true, status: false, assignedTo: false, order: false });
+  assert.equal(projects.paths["/projects"].supported, false);
+  assert.ok(mock.requests.every((request) => request.method === "GET" || request.path.endsWith("/tokens")));
+});
+
+test("探测结果按版本落盘，新进程直接跳过不可用的端点；版本变化后不再命中", async (t) => {
+  const cacheFile = await tempCacheFile(t);
+  let version = "18.5";
+  const mock = await startMockZenTao({
+    bugs: mixedBugs(5),
+    handler: (context) =>
+      withVersion(version, ({ url, json }) => url.pathname.endsWith("/products/1/bugs") && json(404, { error: "Not Found" }))(context),
+  });
+  t.after(() => mock.close());
+
+  await mock.client({ routeCacheFile: cacheFile }).describeInstance();
+  const cached = JSON.parse(await fs.readFile(cacheFile, "utf8"));
+  assert.deepEqual(Object.keys(cached), [`${mock.baseUrl}#18.5`]);
+  assert.equal((await fs.stat(cacheFile)).mode & 0o777, 0o600);
+
+  const restarted = mock.client({ routeCacheFile: cacheFile });
+  assert.equal((await restarted.describeInstance()).cached, true);
+  mock.requests.length = 0;
+  const result = await restarted.getMyBugs({});
+  assert.deepEqual(result.raw.triedPaths[0], { path: "/my/bugs", skipped: "unsupported (route map)" });
+  assert.ok(!mock.requests.some((request) => request.path.endsWith("/my/bugs")));
+
+  version = "20.0";
+  const upgraded = mock.client({ routeCacheFile: cacheFile });
+  assert.equal((await upgraded.describeInstance()).cached, false);
+  assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(cacheFile, "utf8"))).sort(), [`${mock.baseUrl}#18.5`, `${mock.baseUrl}#20.0`]);
+});
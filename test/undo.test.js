@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockZenTao, makeBugs } from "./helpers/mock-zentao.js";
+
+test("解决后撤销：恢复为激活并指派回原处理人", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const resolved = await zentao.resolveBug({ id: 1 });
+  assert.equal(resolved.undoId, 1);
+  assert.equal(mock.state.bugs.get(1).status, "resolved");
+  assert.equal(mock.state.bugs.get(1).assignedTo, "qa");
+
+  const undone = await zentao.undoLastAction({ comment: "误操作" });
+  assert.equal(undone.undoId, 1);
+  assert.deepEqual(undone.steps, ["activate"]);
+  assert.deepEqual(undone.restored, { status: "active", assignedTo: "me", resolution: null });
+  assert.match(undone.comment, /撤销操作 #1/);
+  assert.match(undone.comment, /误操作/);
+  assert.equal(mock.state.bugs.get(1).status, "active");
+  assert.equal(mock.state.bugs.get(1).assignedTo, "me");
+
+  await assert.rejects(zentao.undoLastAction(), /nothing to undo/);
+  await assert.rejects(zentao.undoAction({ id: 1 }), /already undone/);
+});
+
+test("bug 在操作后被他人改过状态时拒绝撤销，force=true 可强制恢复", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(1, { status: "resolved" }) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const closed = await zentao.closeBug({ id: 1 });
+  mock.state.bugs.get(1).status = "active";
+
+  await assert.rejects(zentao.undoAction({ id: closed.undoId }), /is now active \(expected closed/);
+  const undone = await zentao.undoAction({ id: closed.undoId, force: true });
+  assert.deepEqual(undone.steps, ["resolve", "assign"]);
+  assert.equal(mock.state.bugs.get(1).status, "resolved");
+  assert.equal(mock.state.bugs.get(1).assignedTo, "me");
+});
+
+test("撤销本身不会进入撤销日志", async (t) => {
+  const mock = await startMockZenTao({ bugs: makeBugs(2) });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  await zentao.resolveBug({ id: 1 });
+  await zentao.resolveBug({ id: 2 });
+  assert.equal((await zentao.undoLastAction()).bugId, 2);
+  assert.equal((await zentao.undoLastAction()).bugId, 1);
+  await assert.rejects(zentao.undoLastAction(), /nothing to undo/);
+});
+
+test("批量解决逐个记录撤销编号，单个失败不影响其余", async (t) => {
+  const mock = await startMockZenTao({
+    bugs: makeBugs(3),
+    handler: ({ req, url, json }) => req.method === "POST" && url.pathname.endsWith("/bugs/2/resolve") && json(400, { error: "locked" }),
+  });
+  t.after(() => mock.close());
+  const zentao = mock.client();
+
+  const result = await zentao.batchResolveMyBugs({ maxItems: 10 });
+  assert.equal(result.attempted, 3);
+  assert.equal(result.resolved, 2);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(result.success.map((item) => item.id), [1, 3]);
+  assert.ok(result.success.every((item) => Number.isInteger(item.undoId)));
+  assert.deepEqual(result.errors.map((item) => item.id), [2]);
+  assert.equal(mock.state.bugs.get(2).status, "active");
+
+  assert.equal((await zentao.undoLastAction()).bugId, 3);
+  assert.equal(mock.state.bugs.get(3).status, "active");
+});